@@ -44,6 +44,156 @@ const DEFAULT_PATCH_HEADERS = {
    'content-type': 'application/json-patch+json'
 };
 
+/**
+ * Default configuration of the retry policy (see the `retry` option of `create()`).
+ *
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_RETRY_POLICY = {
+   retries: 2,
+   statuses: [ 429, 502, 503 ],
+   methods: [ 'GET', 'HEAD', 'PUT', 'DELETE' ],
+   networkErrors: true,
+   delay: 250,
+   factor: 2,
+   maxDelay: 10000,
+   jitter: true
+};
+
+/**
+ * Default limits of concurrent requests (see the `concurrency` option of `create()`).
+ *
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_CONCURRENCY = {
+   max: 16,
+   perOrigin: 6
+};
+
+/**
+ * Priority of requests running in the background, i.e. those made by `followAll()` and for revalidation in
+ * _stale-while-revalidate_ mode.
+ *
+ * @type {Number}
+ * @private
+ */
+const BACKGROUND_PRIORITY = -1;
+
+/**
+ * Key of the method returning an async iterator, falling back to the key used by transpilers for
+ * environments without native async iteration.
+ *
+ * @type {Symbol|String}
+ * @private
+ */
+const ASYNC_ITERATOR = ( typeof Symbol === 'function' && Symbol.asyncIterator ) || '@@asyncIterator';
+
+/**
+ * Request headers that control caching and hence are not part of the key of a cached response.
+ *
+ * @type {Array<String>}
+ * @private
+ */
+const CACHE_CONTROL_REQUEST_HEADERS = [ 'cache-control', 'pragma', 'if-none-match', 'if-modified-since' ];
+
+/**
+ * Patterns for the expressions of an URI template, their operator and list of variables, and the variable
+ * specifications with an optional modifier (https://tools.ietf.org/html/rfc6570#section-2.2).
+ *
+ * @type {RegExp}
+ * @private
+ */
+const TEMPLATE_EXPRESSION_PATTERN = /\{[^}]*\}/g;
+const TEMPLATE_OPERATOR_PATTERN = /^\{([+#./;?&]?)([^}]*)\}$/;
+const TEMPLATE_VARIABLE_PATTERN = /^([^:*]+)(\*|:\d+)?$/;
+
+/**
+ * Media type adapter used for all representations that were not received with another media type.
+ *
+ * @type {Object}
+ * @private
+ */
+const HAL_ADAPTER = createHalAdapter();
+
+/**
+ * Content type of problem details (https://tools.ietf.org/html/rfc7807).
+ *
+ * @type {String}
+ * @private
+ */
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Content type of JSON Merge Patch documents (https://tools.ietf.org/html/rfc7396).
+ *
+ * @type {String}
+ * @private
+ */
+const MERGE_PATCH_CONTENT_TYPE = 'application/merge-patch+json';
+
+/**
+ * Content type of URL encoded HTML form submissions.
+ *
+ * @type {String}
+ * @private
+ */
+const FORM_URLENCODED_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+/**
+ * Built-in request body serializers by media type (see the `serializers` option of `create()`).
+ *
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_SERIALIZERS = {
+   [ FORM_URLENCODED_CONTENT_TYPE ]: body => typeof body === 'string' ? body : encodeFormValues( body ),
+   'multipart/form-data': body => createFormData( body ),
+   'text/plain': body => `${body}`
+};
+
+/**
+ * Built-in response body parsers by media type (see the `parsers` option of `create()`).
+ *
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_PARSERS = {
+   'text/plain': response => response.text(),
+   'application/octet-stream': readBinary,
+   'application/pdf': readBinary,
+   'application/zip': readBinary,
+   'image/*': readBinary,
+   'audio/*': readBinary,
+   'video/*': readBinary
+};
+
+/**
+ * Types of URI template expansion by operator.
+ *
+ * @type {Object}
+ * @private
+ */
+const TEMPLATE_OPERATOR_TYPES = {
+   '': 'simple',
+   '+': 'reserved',
+   '#': 'fragment',
+   '.': 'label',
+   '/': 'path',
+   ';': 'parameter',
+   '?': 'query',
+   '&': 'query'
+};
+
+/**
+ * Types of URI template expansion whose variables are required, since omitting them changes the path.
+ *
+ * @type {Array<String>}
+ * @private
+ */
+const REQUIRED_TEMPLATE_TYPES = [ 'simple', 'reserved', 'path' ];
+
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
 /**
@@ -54,6 +204,90 @@ const DEFAULT_PATCH_HEADERS = {
  */
 export const STATUS_NOREL = 'norel';
 
+/**
+ * Virtual status code `'conflict'` for an update that was rejected with `412 Precondition Failed`, because
+ * the representation was modified since it was fetched (see the `ifMatch` option of {@link #create()}).
+ * If there is no `on` handler for this code, the handlers for the status code `412` are tried instead.
+ *
+ * @name STATUS_CONFLICT
+ * @type {String}
+ */
+export const STATUS_CONFLICT = 'conflict';
+
+/**
+ * Virtual status code `'aborted'` for a request that was aborted, either using the `abort()` method of the
+ * {@link ResponsePromise} or the `signal` option of the request. If there is no `on` handler for this code,
+ * the request chain silently ends.
+ *
+ * @name STATUS_ABORTED
+ * @type {String}
+ */
+export const STATUS_ABORTED = 'aborted';
+
+/**
+ * Virtual status code `'timeout'` for a request that did not complete within the time given as `timeout`
+ * option of the request.
+ *
+ * @name STATUS_TIMEOUT
+ * @type {String}
+ */
+export const STATUS_TIMEOUT = 'timeout';
+
+/**
+ * Virtual status code `'queued'` for an unsafe request that was put into the offline queue instead of being
+ * sent (see the `offlineQueue` option of {@link #create()}). If there is no `on` handler for this code, the
+ * request chain silently ends.
+ *
+ * @name STATUS_QUEUED
+ * @type {String}
+ */
+export const STATUS_QUEUED = 'queued';
+
+/**
+ * Virtual status code `'deprecated'` for a relation that was not followed, because its link is marked as
+ * deprecated and the `strictDeprecation` option is set (see {@link #create()}).
+ *
+ * @name STATUS_DEPRECATED
+ * @type {String}
+ */
+export const STATUS_DEPRECATED = 'deprecated';
+
+/**
+ * Virtual status code `'invalidvars'` for a relation that was not followed, because the variables given for
+ * its templated link are invalid and the `strictTemplates` option is set (see {@link #create()}).
+ *
+ * @name STATUS_INVALID_VARS
+ * @type {String}
+ */
+export const STATUS_INVALID_VARS = 'invalidvars';
+
+/**
+ * Virtual status code `'invalid'` for a HAL-FORMS template that was not submitted, because the given values
+ * violate the constraints of its properties (see {@link #HalHttpClient.submit()}).
+ *
+ * @name STATUS_INVALID
+ * @type {String}
+ */
+export const STATUS_INVALID = 'invalid';
+
+/**
+ * Virtual status code `'partial'` for the responses of a `followAll()` request having different status
+ * codes. If there is no `on` handler for this code, the handler for _xxx_ is called instead.
+ *
+ * @name STATUS_PARTIAL
+ * @type {String}
+ */
+export const STATUS_PARTIAL = 'partial';
+
+/**
+ * Virtual status code `'error'` for a single response of a `followAll()` request that failed without a
+ * response from the server, e.g. due to a network error.
+ *
+ * @name STATUS_ERROR
+ * @type {String}
+ */
+export const STATUS_ERROR = 'error';
+
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
 /**
@@ -98,8 +332,68 @@ export const STATUS_NOREL = 'norel';
  * @param {Boolean} [optionalOptions.queueUnsafeRequests]
  *    if `true` an unsafe request (DELETE, PATCH, POST and PUT) has to be finished before the next is started.
  *    Default is `false`
+ * @param {Boolean|Object} [optionalOptions.offlineQueue]
+ *    if `true` or a configuration object, unsafe requests (DELETE, PATCH, POST and PUT) failing due to a
+ *    network error are put into a queue instead of being rejected, and are passed to the `on` handler for
+ *    the virtual status code `'queued'` (see {@link #STATUS_QUEUED}). As long as there are queued requests,
+ *    further unsafe requests are queued right away to keep their order. The queued requests are replayed in
+ *    order using {@link #OfflineQueue.replay()} on the `offlineQueue` property of the client, and
+ *    automatically when the browser fires an `online` event. During a replay, error responses with status
+ *    `5xx` and network errors stop the replay and keep the request queued. Default is `false`
+ * @param {Object} [optionalOptions.offlineQueue.storage]
+ *    the storage to persist queued requests in, implementing the same interface as the storage of the
+ *    `cache` option. To keep queued requests over a page reload, use a storage created by
+ *    {@link #createWebStorageCacheStorage()} with a prefix different from the one of the response cache.
+ *    By default, requests are queued in memory only
+ * @param {Boolean} [optionalOptions.offlineQueue.replayOnline]
+ *    if `true`, the queue is replayed whenever the browser fires an `online` event. Default is `true`
+ * @param {Function} [optionalOptions.offlineQueue.onReplay]
+ *    a function that is called with the queue entry and the response for every successfully replayed
+ *    request. A queue entry is a plain object having the properties `id`, `method`, `url`, `headers`,
+ *    `body` and `queuedAt`
+ * @param {Function} [optionalOptions.offlineQueue.onConflict]
+ *    a function that is called with the queue entry and the response, if a replayed request was answered
+ *    with `409 Conflict` or `412 Precondition Failed`. It may return (a promise for) an object with
+ *    modified `headers` and `body` to replay the request with instead (e.g. after merging the changes with
+ *    the current representation), or `null` to discard the request. By default, the request is discarded
+ * @param {Function} [optionalOptions.offlineQueue.onDiscard]
+ *    a function that is called with the queue entry and the response, if a replayed request is discarded
+ *    due to a conflict or any other `4xx` response. By default, an error is logged
  * @param {Object} [optionalOptions.headers]
  *    global headers to send along with every request
+ * @param {Boolean} [optionalOptions.ifMatch]
+ *    if `true`, PUT, PATCH and DELETE requests are sent with an `If-Match` header carrying the `ETag` that
+ *    was last received for the target URL (e.g. by a GET request for the representation to modify). In
+ *    case the server answers with `412 Precondition Failed`, the current representation is fetched and
+ *    passed to the `on` handler for the virtual status code `'conflict'` (see {@link #STATUS_CONFLICT}),
+ *    so that changes can be merged and the request retried. Can be overridden for single requests.
+ *    Default is `false`
+ * @param {Boolean|Object} [optionalOptions.cache]
+ *    if `true` or a configuration object, successful responses to GET requests are cached according to
+ *    their `Cache-Control` (`max-age`, `s-maxage`, `no-store`, `no-cache` and `private`) and `Expires`
+ *    headers. Fresh representations are served without making a request. Stale representations having a
+ *    validator (the `ETag` or `Last-Modified` header) are revalidated using a conditional request (with
+ *    `If-None-Match` resp. `If-Modified-Since`) and if the server answers with `304 Not Modified`, the cached
+ *    representation is passed to the `on` handlers instead. Responses neither having a validator nor an
+ *    explicit freshness lifetime are not cached. Default is `false`
+ * @param {Object} [optionalOptions.cache.storage]
+ *    the storage to keep cached responses in. It has to implement the methods `get( key )`,
+ *    `set( key, entry )`, `delete( key )`, `keys()` and `clear()`, each of which may return a promise.
+ *    Entries are plain JSON serializable objects. See {@link #createMemoryCacheStorage()} (the default) and
+ *    {@link #createWebStorageCacheStorage()} for the available implementations
+ * @param {Boolean} [optionalOptions.cache.shared]
+ *    if `true`, the cache behaves like a shared cache: responses marked as `private` are not stored and
+ *    `s-maxage` takes precedence over `max-age`. Default is `false`
+ * @param {Boolean|Number} [optionalOptions.cache.seedEmbedded]
+ *    if set, resources found (at any depth) within the `_embedded` property of a received representation
+ *    are cached as well, using the `href` of their `self` relation as URL. A later GET request for such a
+ *    URL is then answered from the cache. If `true`, the embedded resources share the freshness lifetime of
+ *    the enclosing representation, while a number defines their freshness lifetime in seconds. This should
+ *    only be used if embedded resources are complete representations instead of trimmed summaries.
+ *    Default is `false`
+ * @param {Boolean} [optionalOptions.staleWhileRevalidate]
+ *    if `true`, GET requests use the _stale-while-revalidate_ mode by default (see
+ *    {@link #HalHttpClient.get()}). This requires the `cache` option. Default is `false`
  * @param {Array<{request: Function, response: Function}>} [optionalOptions.middlewares]
  *    optional array of middlewares to preprocess requests and to postprocess responses.
  *    Each middleware is an object with a `request` and a `response` method.
@@ -127,12 +421,95 @@ export const STATUS_NOREL = 'norel';
  *    In response middleware, you are not obliged to return the same response: you could make a
  *    different fetch-request instead and return the response of that request.
  *
+ * @param {Boolean|Object} [optionalOptions.retry]
+ *    if `true` or a configuration object, failed requests are retried with exponential backoff. Only the
+ *    final outcome is passed to the `on` handlers, while the failed attempts are available as array
+ *    `attempts` on the response for diagnostics. Each attempt is an object with either the `status` of the
+ *    response or the network `error`, and the `delay` in milliseconds before the next attempt. A
+ *    `Retry-After` header sent by the server takes precedence over the computed delay. Default is `false`
+ * @param {Number} [optionalOptions.retry.retries]
+ *    the maximum number of retries for a single request. Default is `2`
+ * @param {Array<Number>} [optionalOptions.retry.statuses]
+ *    the status codes to retry a request for. Default is `[ 429, 502, 503 ]`
+ * @param {Array<String>} [optionalOptions.retry.methods]
+ *    the methods of requests to retry. As POST and PATCH are not idempotent, they have to be added here
+ *    explicitly if needed. Default is `[ 'GET', 'HEAD', 'PUT', 'DELETE' ]`
+ * @param {Boolean} [optionalOptions.retry.networkErrors]
+ *    if `true`, requests failing due to a network error are retried as well. Default is `true`
+ * @param {Number} [optionalOptions.retry.delay]
+ *    the delay before the first retry in milliseconds. Default is `250`
+ * @param {Number} [optionalOptions.retry.factor]
+ *    the factor to multiply the delay with for every further retry. Default is `2`
+ * @param {Number} [optionalOptions.retry.maxDelay]
+ *    the maximum delay in milliseconds. If a `Retry-After` header demands a longer delay, the response is
+ *    not retried. Default is `10000`
+ * @param {Boolean} [optionalOptions.retry.jitter]
+ *    if `true`, each delay is randomly reduced by up to one half, so that clients do not retry in lockstep.
+ *    Default is `true`
+ * @param {Boolean|Object} [optionalOptions.concurrency]
+ *    if `true` or a configuration object, the number of requests running at the same time is limited.
+ *    Further requests wait until a running request has received its response and are then started in the
+ *    order of their `priority` option: requests with a higher priority are started first, requests with the
+ *    same priority in the order they were made. By default, requests have the priority `0`, while requests
+ *    made by {@link #HalHttpClient.followAll()} and background revalidations in _stale-while-revalidate_
+ *    mode have the priority `-1`. This way requests initiated by the user overtake large fan-outs.
+ *    Default is `false`
+ * @param {Number} [optionalOptions.concurrency.max]
+ *    the maximum number of concurrent requests. Default is `16`
+ * @param {Number} [optionalOptions.concurrency.perOrigin]
+ *    the maximum number of concurrent requests to the same origin. Default is `6`
+ * @param {Function} [optionalOptions.dependentUrls]
+ *    a function to declare URLs whose cached representations become stale after a successful unsafe
+ *    request (e.g. the collection an item was added to or removed from). After each unsafe request with a
+ *    `2xx` or `3xx` response, cached and pending GET requests for the target URL and for the URLs in the
+ *    `Location` and `Content-Location` headers of the response (if on the same origin) are invalidated. The
+ *    function is called with an object `{ method: String, url: String, response: Response }` and must return
+ *    an array of further URLs to invalidate. Relative URLs are resolved against the target URL
  * @param {Object} [optionalOptions.fetchInit]
  *    additional init options for `fetch` to be used with every request. The keys `headers`, `body` and
  *    `method` are ignored from this option, since they are either parameters on their own or implemented as
  *    specific function.
+ * @param {Function} [optionalOptions.onDeprecation]
+ *    a function that is called whenever a link having a `deprecation` property is followed. It receives an
+ *    object with the `relation`, the `href` of the link, the `deprecation` URL and the `halRepresentation`
+ *    containing the link. By default, the deprecation is logged using `logDebug`
+ * @param {Boolean} [optionalOptions.strictDeprecation]
+ *    if `true`, deprecated links are not followed at all. Instead, the `on` handler for the virtual status
+ *    code `'deprecated'` (see {@link #STATUS_DEPRECATED}) is called, or if there is none, an error is logged
+ *    and the promise is rejected. This is useful to detect usages of deprecated relations in tests. Can be
+ *    overridden for single requests. Default is `false`
+ * @param {Boolean} [optionalOptions.strictTemplates]
+ *    if `true`, templated links are not followed if required variables are missing or unknown variables are
+ *    given (see {@link #templateVariables()}). Instead, the `on` handler for the virtual status code
+ *    `'invalidvars'` (see {@link #STATUS_INVALID_VARS}) is called, or if there is none, an error is logged
+ *    and the promise is rejected. Can be overridden for single requests. Default is `false`
  * @param {Object} [optionalOptions.on]
- *    global `on` handlers to use as fallback if no matching handler was found in an `on` call
+ *    global `on` handlers to use as fallback if no matching handler was found in an `on` call. Just like
+ *    local handlers, these may be keyed by problem types (see {@link #ResponsePromise.on()})
+ * @param {Array<Object>} [optionalOptions.mediaTypes]
+ *    adapters for media types other than HAL, such as {@link #createSirenAdapter()} or
+ *    {@link #createJsonApiAdapter()}. Their media types are added to the `accept` header, and the links and
+ *    embedded representations of responses having one of these content types are mapped onto the relations
+ *    used by `follow()`, `canFollow()`, `selfLink()` etc. An adapter is an object with the `mediaType`
+ *    it handles and the functions `links( representation )` and `embedded( representation )`, returning
+ *    maps from relations to HAL link objects resp. embedded representations (or lists of them). Default is
+ *    an empty list, i.e. only HAL is supported
+ * @param {Object} [optionalOptions.serializers]
+ *    functions to encode request bodies, keyed by the media type of the `content-type` request header (or by
+ *    a wildcard such as `text/*`). A serializer receives the body given to e.g. `post()` and returns
+ *    anything `fetch` accepts as body. Built-in are serializers for `application/x-www-form-urlencoded`
+ *    (objects are URL encoded), `multipart/form-data` (objects are converted to `FormData`) and
+ *    `text/plain`. Bodies that are already a `FormData`, `URLSearchParams`, `Blob`, `ArrayBuffer` or typed
+ *    array are always sent as they are, with the `content-type` of `FormData` and `URLSearchParams` bodies
+ *    left to `fetch`. All other bodies are sent as JSON
+ * @param {Object} [optionalOptions.parsers]
+ *    functions to read response bodies, keyed by the media type of the response (or by a wildcard such as
+ *    `image/*`). A parser receives the response and returns a promise for the data passed to the `on`
+ *    handlers. Built-in are parsers for `text/plain` (yielding a string) and for binary content like
+ *    `application/octet-stream`, `application/pdf`, `application/zip`, `image/*`, `audio/*` and `video/*`
+ *    (yielding a `Blob`, an `ArrayBuffer` or a node `Buffer`, whatever the `fetch` implementation
+ *    supports). All other responses are parsed as JSON. Note that responses handled by a parser are never
+ *    cached
  * @param {Function} [optionalOptions.responseTransformer]
  *    a function that is called for every response and must return an optionally transformed version of
  *    that response. This can e.g. be used for URL rewriting of proxied requests during development. This
@@ -148,11 +525,25 @@ export const STATUS_NOREL = 'norel';
 export function create( optionalOptions = {} ) {
 
    const getPromiseCache = {};
+   const entityTags = {};
    const globalOptions = {
       queueUnsafeRequests: false,
+      offlineQueue: false,
       headers: {},
+      ifMatch: false,
+      cache: false,
+      staleWhileRevalidate: false,
+      retry: false,
+      concurrency: false,
       fetchInit: {},
       middlewares: [],
+      dependentUrls: () => [],
+      onDeprecation: null,
+      strictDeprecation: false,
+      strictTemplates: false,
+      mediaTypes: [],
+      serializers: {},
+      parsers: {},
       on: {},
       responseTransformer: response => response,
       logError: msg => { console.error( msg ); }, // eslint-disable-line no-console
@@ -160,7 +551,49 @@ export function create( optionalOptions = {} ) {
       ...optionalOptions
    };
    const { logError, logDebug } = globalOptions;
+   const mediaTypes = [ HAL_ADAPTER, ...globalOptions.mediaTypes ].map( _ => _.mediaType );
+   const mediaTypeHeaders = globalOptions.mediaTypes.length ?
+      { 'accept': `${mediaTypes.join( ', ' )}, application/json;q=0.8` } :
+      {};
+   const onDeprecation = globalOptions.onDeprecation || ( ({ relation, href, deprecation }) => {
+      logDebug( `Followed deprecated relation "${relation}" (href: "${href}", see ${deprecation}).` );
+   } );
    const globalOnHandlers = expandHandlers( globalOptions.on );
+   const serializers = { ...DEFAULT_SERIALIZERS, ...globalOptions.serializers };
+   const parsers = { ...DEFAULT_PARSERS, ...globalOptions.parsers };
+   const cacheStorage = globalOptions.cache ?
+      ( globalOptions.cache.storage || createMemoryCacheStorage() ) :
+      null;
+
+   const offlineQueueOptions = globalOptions.offlineQueue ? {
+      storage: createMemoryCacheStorage( { maxEntries: Infinity } ),
+      replayOnline: true,
+      onReplay: () => {},
+      onConflict: () => null,
+      onDiscard: ( entry, response ) => {
+         logError( `Discarded queued ${entry.method} of "${entry.url}" due to status ${response.status}.` );
+      },
+      ...( typeof globalOptions.offlineQueue === 'object' ? globalOptions.offlineQueue : {} )
+   } : null;
+   let replayPromise = null;
+   let lastQueueEntryId = 0;
+
+   const scheduler = globalOptions.concurrency ? createScheduler( {
+      ...DEFAULT_CONCURRENCY,
+      ...( typeof globalOptions.concurrency === 'object' ? globalOptions.concurrency : {} )
+   } ) : null;
+
+   const cache = createCacheApi();
+   const offlineQueue = createOfflineQueueApi();
+
+   if( offlineQueueOptions && offlineQueueOptions.replayOnline &&
+      typeof window !== 'undefined' && typeof window.addEventListener === 'function' ) {
+      window.addEventListener( 'online', () => {
+         offlineQueue.replay().catch( error => {
+            logError( `Failed to replay the offline queue: ${error}` );
+         } );
+      } );
+   }
 
    /**
     * @constructor
@@ -172,12 +605,20 @@ export function create( optionalOptions = {} ) {
       put,
       post,
       patch,
+      update,
       del,
       delete: del,
       follow,
       followAll,
+      followPath,
+      paginate,
+      load,
+      submit,
       thenFollow,
-      thenFollowAll
+      thenFollowAll,
+      thenFollowPath,
+      cache,
+      offlineQueue
    };
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -186,6 +627,30 @@ export function create( optionalOptions = {} ) {
     * Makes a GET request for the given URL or HAL representation. In case a HAL representation is given,
     * the `self` relation in the `_links` map is used to derive the URL for the request.
     *
+    * If the client was created with the `cache` option, a fresh representation that was received before is
+    * used without making a request, while a stale one is revalidated using a conditional request. In case
+    * the server answers with `304 Not Modified`, the cached representation is used as well. The `on`
+    * handlers then receive the cached representation and a response with the originally cached status and
+    * headers, having the additional property `fromCache` set to `true`. Sending a `Cache-Control: no-cache`
+    * request header enforces revalidation, while `Cache-Control: no-store` bypasses the cache completely.
+    *
+    * In _stale-while-revalidate_ mode, even a stale representation is immediately passed to the `on`
+    * handlers (its response having the additional property `stale` set to `true`), while it is revalidated
+    * in the background. If the revalidation yields a different representation, the handlers registered
+    * using `onUpdate` on the returned promise are called with the new representation and response:
+    *
+    * ```js
+    * hal.get( 'http://host/someResource', { staleWhileRevalidate: true } )
+    *    .onUpdate( ( data, response ) => {
+    *       console.log( 'Received a newer representation: ', data );
+    *    } )
+    *    .on( {
+    *       '200'( data, response ) {
+    *          console.log( 'Possibly stale representation: ', data, response.stale );
+    *       }
+    *    } );
+    * ```
+    *
     * @param {String|Object} urlOrHalRepresentation
     *    a URL or a HAL representation to make the request for
     * @param {Object} [optionalOptions]
@@ -197,33 +662,112 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`.
+    *    Unlike other simultaneous GET requests for the same URL and headers, a request with a timeout is
+    *    never shared with other callers
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`. Just like
+    *    a request with a timeout, a request with a signal is never shared with other callers
+    * @param {Boolean} [optionalOptions.staleWhileRevalidate]
+    *    if `true`, the _stale-while-revalidate_ mode is used as described above. Default is the value of the
+    *    global `staleWhileRevalidate` option
     *
     * @return {ResponsePromise}
-    *    an extended promise for the response
+    *    an extended promise for the response, having an additional method `onUpdate( handler )` to
+    *    register handlers for updates in _stale-while-revalidate_ mode
     *
     * @memberof HalHttpClient
     */
    function get( urlOrHalRepresentation, optionalOptions ) {
       const url = extractUrl( urlOrHalRepresentation );
-      const options = {
+      const { parentSignal, ...options } = {
          headers: {},
          fetchInit: {},
+         staleWhileRevalidate: globalOptions.staleWhileRevalidate,
          ...optionalOptions
       };
+      // requests that can be aborted on their own must neither be shared nor share the request of others
+      if( options.signal || options.timeout ) {
+         return createGetRequest( url, options ).responsePromise;
+      }
 
       const cacheKey = createCacheKey( url, createHeaders( 'GET', options.headers ) );
-      if( cacheKey in getPromiseCache ) {
-         return getPromiseCache[ cacheKey ];
+      if( !( cacheKey in getPromiseCache ) ) {
+         const newRequest = createGetRequest( url, options );
+         const removeFromCache = () => {
+            if( getPromiseCache[ cacheKey ] === newRequest ) {
+               delete getPromiseCache[ cacheKey ];
+            }
+         };
+         newRequest.promise.then( removeFromCache, removeFromCache );
+         getPromiseCache[ cacheKey ] = newRequest;
+      }
+      const sharedRequest = getPromiseCache[ cacheKey ];
+      if( !parentSignal ) {
+         // callers without a signal cannot detach from the request, which hence must not be aborted for them
+         sharedRequest.detachable = false;
+         return sharedRequest.responsePromise;
       }
+      return sharedRequest.attach( parentSignal );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createGetRequest( url, options ) {
+      const updateHandlers = [];
+      const abortScope = createAbortScope( { url }, options );
+      const promise = abortScope.race( fetchWithCache( url, abortScope.options, notifyUpdate )
+         .then( response => globalOptions.responseTransformer( response ) )
+         .then( response => {
+            rememberEntityTag( url, 'GET', response );
+            return response;
+         } ) );
+      let attachedCallers = 0;
 
-      const promise = doFetch( url, options )
-         .then( response => globalOptions.responseTransformer( response ) );
+      const getRequest = {
+         promise,
+         detachable: true,
+         responsePromise: withUpdateHandlers( extendResponsePromise( promise, abortScope.abort ) ),
+         attach( signal ) {
+            // aborting only detaches the caller, while the request is aborted once all callers are detached
+            const callerScope = createAbortScope( { url }, { signal } );
+            const callerPromise = callerScope.race( promise );
+            const detach = () => {
+               attachedCallers--;
+               if( callerScope.aborted() && attachedCallers === 0 && getRequest.detachable ) {
+                  abortScope.abort();
+               }
+            };
+            attachedCallers++;
+            callerPromise.then( detach, detach );
+            return withUpdateHandlers( extendResponsePromise( callerPromise, callerScope.abort ) );
+         }
+      };
+      return getRequest;
 
-      const removeFromCache = () => { delete getPromiseCache[ cacheKey ]; };
-      promise.then( removeFromCache, removeFromCache );
+      function withUpdateHandlers( responsePromise ) {
+         responsePromise.onUpdate = handler => {
+            updateHandlers.push( handler );
+            return responsePromise;
+         };
+         return responsePromise;
+      }
 
-      getPromiseCache[ cacheKey ] = extendResponsePromise( promise );
-      return getPromiseCache[ cacheKey ];
+      function notifyUpdate( updatedResponse ) {
+         const response = globalOptions.responseTransformer( updatedResponse );
+         rememberEntityTag( url, 'GET', response );
+         return response.text().then( body => {
+            const data = parseRepresentation( body, response );
+            updateHandlers.forEach( handler => { handler( data, response ); } );
+         } );
+      }
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -243,6 +787,16 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -257,7 +811,11 @@ export function create( optionalOptions = {} ) {
          ...optionalOptions
       };
 
-      return extendResponsePromise( doFetch( url, options, 'HEAD' ) );
+      const abortScope = createAbortScope( { url }, options );
+      return extendResponsePromise(
+         abortScope.race( doFetch( url, abortScope.options, 'HEAD' ) ),
+         abortScope.abort
+      );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -279,6 +837,25 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`
+    * @param {Boolean} [optionalOptions.ifMatch]
+    *    if `true`, the `ETag` last received for the URL is sent as `If-Match` header. Default is the value
+    *    of the global `ifMatch` option
+    * @param {Array<String>} [optionalOptions.dependentUrls]
+    *    URLs whose cached representations should be invalidated after a successful request, in addition to
+    *    the ones determined by the global `dependentUrls` option
+    * @param {Boolean} [optionalOptions.offline]
+    *    if `false`, the request is never put into the offline queue (see the global `offlineQueue` option).
+    *    Default is `true`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -309,6 +886,22 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`
+    * @param {Array<String>} [optionalOptions.dependentUrls]
+    *    URLs whose cached representations should be invalidated after a successful request, in addition to
+    *    the ones determined by the global `dependentUrls` option
+    * @param {Boolean} [optionalOptions.offline]
+    *    if `false`, the request is never put into the offline queue (see the global `offlineQueue` option).
+    *    Default is `true`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -339,6 +932,25 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`
+    * @param {Boolean} [optionalOptions.ifMatch]
+    *    if `true`, the `ETag` last received for the URL is sent as `If-Match` header. Default is the value
+    *    of the global `ifMatch` option
+    * @param {Array<String>} [optionalOptions.dependentUrls]
+    *    URLs whose cached representations should be invalidated after a successful request, in addition to
+    *    the ones determined by the global `dependentUrls` option
+    * @param {Boolean} [optionalOptions.offline]
+    *    if `false`, the request is never put into the offline queue (see the global `offlineQueue` option).
+    *    Default is `true`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -351,6 +963,52 @@ export function create( optionalOptions = {} ) {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   /**
+    * Makes a PATCH request for the `self` link of the original representation, containing the changes made
+    * in the modified representation. By default, the changes are sent as minimal JSON Patch
+    * (http://tools.ietf.org/html/rfc6902). Using the `mergePatch` option, they are sent as JSON Merge Patch
+    * (https://tools.ietf.org/html/rfc7396) instead. Just like for {@link #removeHalKeys()}, `_links` and
+    * `_embedded` are ignored when comparing both representations.
+    *
+    * Example:
+    * ```js
+    * const modified = { ...customer, address: { ...customer.address, city: 'Faketown' } };
+    * hal.update( customer, modified );
+    * // sends [ { "op": "replace", "path": "/address/city", "value": "Faketown" } ]
+    * ```
+    *
+    * Note that a JSON Merge Patch cannot set properties to `null`, since this removes them.
+    *
+    * @param {Object} original
+    *    the representation as received from the server
+    * @param {Object} modified
+    *    the modified copy of the representation
+    * @param {Object} [optionalOptions]
+    *    configuration to use for the request (see {@link #HalHttpClient.patch()})
+    * @param {Boolean} [optionalOptions.mergePatch]
+    *    if `true`, the changes are sent as JSON Merge Patch with the content type
+    *    `application/merge-patch+json`. Default is `false`
+    *
+    * @return {ResponsePromise}
+    *    an extended promise for the response
+    *
+    * @memberof HalHttpClient
+    */
+   function update( original, modified, optionalOptions = {} ) {
+      const { mergePatch = false, ...options } = optionalOptions;
+      const from = removeHalKeys( original );
+      const to = removeHalKeys( modified );
+      if( !mergePatch ) {
+         return patch( original, createJsonPatch( from, to ), options );
+      }
+      return patch( original, createMergePatch( from, to ), {
+         ...options,
+         headers: { 'content-type': MERGE_PATCH_CONTENT_TYPE, ...options.headers }
+      } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
    /**
     * Makes a DELETE request for the given URL or HAL representation. In case a HAL representation is given,
     * the `self` relation in the `_links` map is used to derive the URL for the request.
@@ -370,6 +1028,25 @@ export function create( optionalOptions = {} ) {
     *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
     *    `method` are ignored from this option, since they are either parameters on their own or implemented
     *    as specific function.
+    * @param {Boolean|Object} [optionalOptions.retry]
+    *    the retry policy for this request. If an object, it refines the global `retry` option. Default is
+    *    the value of the global `retry` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which the request is aborted and handled using the virtual status `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort the request, which is then handled using the virtual status `'aborted'`
+    * @param {Boolean} [optionalOptions.ifMatch]
+    *    if `true`, the `ETag` last received for the URL is sent as `If-Match` header. Default is the value
+    *    of the global `ifMatch` option
+    * @param {Array<String>} [optionalOptions.dependentUrls]
+    *    URLs whose cached representations should be invalidated after a successful request, in addition to
+    *    the ones determined by the global `dependentUrls` option
+    * @param {Boolean} [optionalOptions.offline]
+    *    if `false`, the request is never put into the offline queue (see the global `offlineQueue` option).
+    *    Default is `true`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -394,8 +1071,25 @@ export function create( optionalOptions = {} ) {
     * all found embedded representations are returned or all relations found in the `_links` property are
     * requested resp.. The resulting promise will then be resolved with an array of responses instead of a
     * single response. As there might be different status codes for the responses, a specific `on` handler is
-    * only called if all status codes yield the same value. In any other case *only* the handler for `xxx` is
+    * only called if all status codes yield the same value. In any other case *only* the handler for
+    * `'partial'` (receiving the succeeded and failed responses separately) or else the one for `xxx` is
     * called. This can be prevented, if a list resource always embeds the representations of its items.
+    * Alternatively, {@link #ResponsePromise.onEach()} handles each of the responses on its own. A single
+    * request failing without a response (e.g. due to a network error) does not reject the resulting
+    * promise, but yields a response with the virtual status code `'error'`.
+    *
+    * Using the `select` option, links can be picked by their properties instead of their position, e.g.
+    * `follow( invoice, 'alternate', { select: { type: 'application/pdf' } } )`. In case `followAll` is
+    * `true`, only the matching links are followed.
+    *
+    * Embedded representations are often only summaries of the linked resources. Using the `prefer` option,
+    * the links of the relation can be followed instead, e.g. `follow( order, 'item', { prefer: 'link' } )`.
+    * If the relation only has embedded representations, their `self` links are requested to refresh them.
+    * Passing a function as `prefer` option, embedded representations are only used if they are complete:
+    * `follow( order, 'item', { prefer: item => 'price' in item } )`.
+    *
+    * Relative hrefs are resolved against the URL the representation was received from (or the URL it was
+    * redirected to), as defined by RFC 3986. Embedded representations use the URL of their document.
     *
     * @param {Object} halRepresentation
     *    the representation whose relation should be followed
@@ -418,6 +1112,30 @@ export function create( optionalOptions = {} ) {
     *    if `true`, follows all entities found for that relation. Default is `false`
     * @param {Object} [optionalOptions.vars]
     *    map of variables to replace in templated URLs
+    * @param {Object|Function} [optionalOptions.select]
+    *    selects among several links of the relation. Either an object with HAL link properties (such as
+    *    `name`, `type`, `profile`, `hreflang` or `title`) that a link must match, or a function receiving a
+    *    link and returning `true` if it should be used. Embedded representations are matched using their
+    *    `self` link. If no link matches, the relation is handled as missing
+    * @param {String|Function} [optionalOptions.prefer]
+    *    whether `'embedded'` representations or `'link'`s of the relation are preferred. Alternatively, a
+    *    function receiving an embedded representation and returning `true` if it is complete enough to be
+    *    used. If a link is preferred but missing, the `self` links of the embedded representations are
+    *    requested. Default is `'embedded'`
+    * @param {Boolean} [optionalOptions.strictDeprecation]
+    *    if `true`, deprecated links are not followed (see the global `strictDeprecation` option). Default is
+    *    the value of the global `strictDeprecation` option
+    * @param {Boolean} [optionalOptions.strictTemplates]
+    *    if `true`, templated links are not followed if their `vars` are invalid (see the global
+    *    `strictTemplates` option). Default is the value of the global `strictTemplates` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the request(s) if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `0`, or `-1` if `followAll` is `true`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which following the relation is aborted and handled using the virtual status
+    *    `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort following the relation, which is then handled using the virtual status `'aborted'`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -432,43 +1150,76 @@ export function create( optionalOptions = {} ) {
          vars: {},
          method: 'GET',
          body: undefined,
+         prefer: 'embedded',
+         priority: optionalOptions.followAll ? BACKGROUND_PRIORITY : 0,
+         strictDeprecation: globalOptions.strictDeprecation,
+         strictTemplates: globalOptions.strictTemplates,
          ...optionalOptions
       };
 
-      return extendResponsePromise( new Promise( ( resolve, reject ) => {
-         if( options.method === 'GET' && path( halRepresentation, `_embedded.${relation}` ) ) {
-            const embedded = halRepresentation._embedded[ relation ];
+      const abortScope = createAbortScope( { halRepresentation, relation }, options );
+      return extendResponsePromise( abortScope.race( new Promise( ( resolve, reject ) => {
+         const embeddedKey = findRelationKey( halRepresentation, '_embedded', relation );
+         const linkKey = findRelationKey( halRepresentation, '_links', relation );
+         const selfLinkOf = resource => linksOf( resource ).self;
+         const embedded = options.method === 'GET' && embeddedKey ?
+            select( embeddedOf( halRepresentation )[ embeddedKey ], selfLinkOf ) :
+            null;
+         const linkOrLinks = linkKey ?
+            select( linksOf( halRepresentation )[ linkKey ], link => link ) :
+            selfLinksOf( embedded );
+         if( embedded && ( !linkOrLinks || prefersEmbedded( embedded ) ) ) {
             if( options.followAll ) {
                const all = Array.isArray( embedded ) ? embedded : [ embedded ];
-               resolve( all.map( data => {
-                  return {
-                     status: 200,
-                     headers: {},
-                     text: () => Promise.resolve( JSON.stringify( data ) )
-                  };
-               } ) );
+               resolve( all.map( createEmbeddedResponse ) );
             }
             else {
                const data = Array.isArray( embedded ) ? embedded[ 0 ] : embedded;
+               resolve( createEmbeddedResponse( data ) );
+            }
+         }
+         else if( linkOrLinks ) {
+            const links = Array.isArray( linkOrLinks ) ? linkOrLinks : [ linkOrLinks ];
+            const followedLinks = options.followAll ? links : [ links[ 0 ] ];
+            const deprecatedLinks = followedLinks.filter( link => link && link.deprecation );
+            const notifyDeprecation = () => {
+               deprecatedLinks.forEach( ({ href, deprecation }) => {
+                  onDeprecation( { relation, href, deprecation, halRepresentation } );
+               } );
+            };
+            const invalidVars = options.strictTemplates ?
+               followedLinks
+                  .map( link => ( { href: link.href, ...validateVars( link, options.vars ) } ) )
+                  .find( ({ missing, unknown }) => missing.length || unknown.length ) :
+               null;
+            if( deprecatedLinks.length && options.strictDeprecation ) {
+               const { href, deprecation } = deprecatedLinks[ 0 ];
                resolve( {
-                  status: 200,
+                  status: STATUS_DEPRECATED,
+                  info: { halRepresentation, relation, href, deprecation },
                   headers: {},
-                  text: () => Promise.resolve( JSON.stringify( data ) )
+                  text: () => Promise.resolve( JSON.stringify( null ) )
                } );
             }
-         }
-         else if( path( halRepresentation, `_links.${relation}` ) ) {
-            const linkOrLinks = halRepresentation._links[ relation ];
-            if( options.followAll ) {
-               const links = Array.isArray( linkOrLinks ) ? linkOrLinks : [ linkOrLinks ];
-               allSettled( links.map( link => {
-                  const href = expandPossibleVars( link, options.vars );
-                  return request( href );
+            else if( invalidVars ) {
+               resolve( {
+                  status: STATUS_INVALID_VARS,
+                  info: { halRepresentation, relation, vars: options.vars, ...invalidVars },
+                  headers: {},
+                  text: () => Promise.resolve( JSON.stringify( null ) )
+               } );
+            }
+            else if( options.followAll ) {
+               notifyDeprecation();
+               // a single failing request must not prevent the consumer from handling the other responses
+               Promise.all( followedLinks.map( link => {
+                  const href = resolveHref( link );
+                  return request( href ).catch( error => createErrorResponse( href, error ) );
                } ) ).then( resolve, reject );
             }
             else {
-               const link = Array.isArray( linkOrLinks ) ? linkOrLinks[ 0 ] : linkOrLinks;
-               const href = expandPossibleVars( link, options.vars );
+               notifyDeprecation();
+               const href = resolveHref( followedLinks[ 0 ] );
                request( href ).then( resolve, reject );
             }
          }
@@ -480,14 +1231,76 @@ export function create( optionalOptions = {} ) {
                text: () => Promise.resolve( JSON.stringify( null ) )
             } );
          }
-      } ) );
+      } ) ), abortScope.abort );
+
+      function createEmbeddedResponse( data ) {
+         // embedded representations share the base URL of the document they are embedded in
+         const response = {
+            status: 200,
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( data ) )
+         };
+         rememberBaseUrl( response, baseUrlOf( halRepresentation ) );
+         rememberAdapter( response, adapterOf( halRepresentation ) );
+         return response;
+      }
+
+      function prefersEmbedded( embedded ) {
+         if( typeof options.prefer === 'function' ) {
+            const all = Array.isArray( embedded ) ? embedded : [ embedded ];
+            return ( options.followAll ? all : all.slice( 0, 1 ) ).every( options.prefer );
+         }
+         return options.prefer !== 'link';
+      }
+
+      function selfLinksOf( embedded ) {
+         if( !embedded ) {
+            return null;
+         }
+         // refreshing embedded representations is only possible if all of them have a self link
+         const all = Array.isArray( embedded ) ? embedded : [ embedded ];
+         const selfLinks = all.map( resource => linksOf( resource ).self );
+         return selfLinks.length && selfLinks.every( _ => _ && _.href ) ? selfLinks : null;
+      }
+
+      function createErrorResponse( url, error ) {
+         return {
+            status: STATUS_ERROR,
+            info: { url, error },
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( null ) )
+         };
+      }
+
+      function resolveHref( link ) {
+         return resolveUrl( baseUrlOf( halRepresentation ), expandPossibleVars( link, options.vars ) );
+      }
+
+      function select( linkedOrLinkedList, linkOf ) {
+         if( !linkedOrLinkedList || !options.select ) {
+            return linkedOrLinkedList || null;
+         }
+         const all = Array.isArray( linkedOrLinkedList ) ? linkedOrLinkedList : [ linkedOrLinkedList ];
+         const selected = all.filter( _ => matchesLink( linkOf( _ ), options.select ) );
+         return selected.length ? selected : null;
+      }
 
       function request( href ) {
-         const requestOptions = { headers: options.headers, fetchInit: options.fetchInit };
+         const requestOptions = {
+            headers: options.headers,
+            fetchInit: options.fetchInit,
+            priority: options.priority,
+            signal: abortScope.signal
+         };
          const requestFunction = api[ options.method.toLowerCase() ];
          if( [ 'DELETE', 'PATCH', 'POST', 'PUT' ].indexOf( options.method.toUpperCase() ) !== -1 ) {
             return requestFunction( href, options.body, requestOptions );
          }
+         if( options.method.toUpperCase() === 'GET' ) {
+            // aborting must not affect other callers sharing the same GET request, but only detach this one
+            const { signal, ...getOptions } = requestOptions;
+            return requestFunction( href, { ...getOptions, parentSignal: signal } );
+         }
          return requestFunction( href, requestOptions );
       }
    }
@@ -517,6 +1330,25 @@ export function create( optionalOptions = {} ) {
     *    as specific function.
     * @param {Object} [optionalOptions.vars]
     *    map of variables to replace in templated URLs
+    * @param {Object|Function} [optionalOptions.select]
+    *    selects among several links of the relation. Either an object with HAL link properties (such as
+    *    `name`, `type`, `profile`, `hreflang` or `title`) that a link must match, or a function receiving a
+    *    link and returning `true` if it should be used. Embedded representations are matched using their
+    *    `self` link. If no link matches, the relation is handled as missing
+    * @param {Boolean} [optionalOptions.strictDeprecation]
+    *    if `true`, deprecated links are not followed (see the global `strictDeprecation` option). Default is
+    *    the value of the global `strictDeprecation` option
+    * @param {Boolean} [optionalOptions.strictTemplates]
+    *    if `true`, templated links are not followed if their `vars` are invalid (see the global
+    *    `strictTemplates` option). Default is the value of the global `strictTemplates` option
+    * @param {Number} [optionalOptions.priority]
+    *    the priority of the requests if the number of concurrent requests is limited (see the global
+    *    `concurrency` option). Default is `-1`
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which following the relation is aborted and handled using the virtual status
+    *    `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort following the relation, which is then handled using the virtual status `'aborted'`
     *
     * @return {ResponsePromise}
     *    an extended promise for the response
@@ -532,57 +1364,476 @@ export function create( optionalOptions = {} ) {
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    /**
-    * Helper factory for `follow()` function calls. The returned function only expects a HAL representation as
-    * argument, and calls {@link #HalHttpClient.follow()} using that representation as first argument.
-    * The purpose of this method is the use within chained `follow()` calls, especially in `on` handlers.
+    * Follows a path of relations starting at the given HAL representation, using
+    * {@link #HalHttpClient.follow()} for every hop. Hence embedded representations are preferred over
+    * making requests on each hop. The path is either an array of relations or a string with the relations
+    * separated by `>`. Instead of a relation, an array entry can be an object with the `relation` and
+    * options for this hop only, such as `vars`, or `method` and `body` for the last hop.
     *
     * Example:
     * ```js
-    * halClient.get( 'http://host/office' )
-    *    .on( { '200': halClient.thenFollow( 'desk' ) } )
-    *    .on( { '200': halClient.thenFollow( 'computer' ) } )
-    *    .on( { '200': halClient.thenFollow( 'keyboard' ) } );
-    * // ...
+    * hal.followPath( customer, 'orders > latest > items' );
+    * hal.followPath( customer, [ 'orders', { relation: 'search', vars: { status: 'open' } }, 'items' ] )
+    *    .on( {
+    *       '200'( items, response ) {
+    *          console.log( 'Got the items: ', items );
+    *       },
+    *       'norel'( data, response ) {
+    *          console.log( `The relation at hop ${response.info.hop} is missing: `, response.info.relation );
+    *       }
+    *    } );
     * ```
-    * Assuming every response yields a status of `200`, first a representation of an office resource is
-    * fetched, then the `desk` relation is followed, then within the resulting representation the `computer`
-    * relation is followed and finally within that representation the `keyboard` relation is followed.
     *
-    * Note that this method cannot be used in an `on` handler after a `followAll` request, as there will be
-    * an array of objects instead of only one object.
+    * The resulting promise is resolved with the response of the last hop. If a hop yields a response with
+    * a status other than `2xx`, this response is passed on instead and the remaining hops are skipped. If
+    * a relation is missing, the response for the virtual status code `'norel'` has the additional `info`
+    * properties `hop` (the index of the failing hop) and `path` (the relations of all hops).
     *
-    * @param {String} relation
-    *    the relation to follow
+    * @param {Object} halRepresentation
+    *    the representation to start at
+    * @param {Array<String|Object>|String} relations
+    *    the path of relations to follow
     * @param {Object} [optionalOptions]
-    *    configuration to use for the request
-    * @param {Object} [optionalOptions.method]
-    *    method to use for the request(s). If not `GET`, embedded representations will be ignored. Default is
-    *    `GET`
-    * @param {Object} [optionalOptions.body]
-    *    JSON serializable body to send
-    * @param {Object} [optionalOptions.headers]
-    *    headers to send along with the request. The same default headers as for `get()` are used
-    * @param {Object} [optionalOptions.fetchInit]
-    *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
-    *    `method` are ignored from this option, since they are either parameters on their own or implemented
-    *    as specific function.
-    * @param {Boolean} [optionalOptions.followAll]
-    *    if `true`, follows all entities found for that relation. Default is `false`
+    *    configuration to use for all hops, which can be refined for single hops. See
+    *    {@link #HalHttpClient.follow()} for the available options, except for `followAll`, which is only
+    *    supported for the last hop
+    * @param {Number} [optionalOptions.timeout]
+    *    milliseconds after which following the path is aborted and handled using the virtual status
+    *    `'timeout'`
+    * @param {AbortSignal} [optionalOptions.signal]
+    *    a signal to abort following the path, which is then handled using the virtual status `'aborted'`
     *
-    * @return {Function}
-    *    a function calling `follow` on the response it receives
+    * @return {ResponsePromise}
+    *    an extended promise for the response of the last hop
     *
     * @memberof HalHttpClient
     */
-   function thenFollow( relation, optionalOptions ) {
-      return function( representation ) {
-         return follow( representation, relation, optionalOptions );
+   function followPath( halRepresentation, relations, optionalOptions = {} ) {
+      const hops = parseRelationPath( relations );
+      const path = hops.map( _ => _.relation );
+      const options = {
+         headers: {},
+         fetchInit: {},
+         ...optionalOptions
       };
-   }
+      const hopDefaults = { ...options };
+      delete hopDefaults.timeout;
+      delete hopDefaults.signal;
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+      const abortScope = createAbortScope( { halRepresentation, relation: path.join( ' > ' ) }, options );
+      return extendResponsePromise( abortScope.race( followHop( halRepresentation, 0 ) ), abortScope.abort );
 
-   /**
+      function followHop( representation, index ) {
+         const { relation, ...hopOptions } = hops[ index ];
+         const isLastHop = index === hops.length - 1;
+         const followAll = 'followAll' in hopOptions ? hopOptions.followAll : options.followAll;
+         return follow( representation, relation, {
+            ...hopDefaults,
+            ...hopOptions,
+            headers: { ...options.headers, ...hopOptions.headers },
+            followAll: isLastHop && !!followAll,
+            signal: abortScope.signal
+         } ).then( response => {
+            if( response.status === STATUS_NOREL ) {
+               return { ...response, info: { ...response.info, hop: index, path } };
+            }
+            // virtual status codes (such as 'deprecated') are passed on just like errors
+            if( isLastHop || !isSuccessStatus( response.status ) ) {
+               return response;
+            }
+            return response.text()
+               .then( body => followHop( parseRepresentation( body, response ), index + 1 ) );
+         } );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Iterates over the items of a paginated HAL collection. Starting with the given page (or the page
+    * fetched from the given URL), the items embedded for `itemsRelation` are yielded one by one. Only when
+    * all items of a page have been consumed, the `next` relation of that page is followed. Iteration ends
+    * with the last page, i.e. the first page without a `next` relation.
+    *
+    * Example:
+    * ```js
+    * for await( const car of hal.paginate( 'http://host/cars', { itemsRelation: 'car', maxPages: 10 } ) ) {
+    *    if( car.sold ) {
+    *       break;
+    *    }
+    *    console.log( car );
+    * }
+    * ```
+    *
+    * Stopping the iteration early (e.g. using `break`) aborts a page request that is still in progress. If
+    * a page cannot be fetched successfully, the promise for the next item is rejected with the offending
+    * response.
+    *
+    * @param {String|Object} urlOrHalRepresentation
+    *    the URL of the first page or the first page itself
+    * @param {Object} optionalOptions
+    *    configuration to use for the iteration. Any additional options are used for the page requests (see
+    *    {@link #HalHttpClient.follow()})
+    * @param {String} optionalOptions.itemsRelation
+    *    the relation the items are embedded for in each page
+    * @param {String} [optionalOptions.nextRelation]
+    *    the relation of the following page. Default is `'next'`
+    * @param {String} [optionalOptions.prevRelation]
+    *    the relation of the preceding page, when walking `backwards`. Default is `'prev'`
+    * @param {Boolean} [optionalOptions.backwards]
+    *    if `true`, the `prevRelation` is followed instead of the `nextRelation` and the items of each page
+    *    are yielded in reverse order. Default is `false`
+    * @param {Number} [optionalOptions.maxPages]
+    *    the maximum number of pages to iterate, including the first one. Default is `Infinity`
+    *
+    * @return {AsyncIterator}
+    *    an async iterator (which is async iterable as well) over the items of all pages
+    *
+    * @memberof HalHttpClient
+    */
+   function paginate( urlOrHalRepresentation, optionalOptions = {} ) {
+      const {
+         itemsRelation,
+         nextRelation = 'next',
+         prevRelation = 'prev',
+         backwards = false,
+         maxPages = Infinity,
+         ...requestOptions
+      } = optionalOptions;
+      if( !itemsRelation ) {
+         throw new Error( 'Tried to paginate without an itemsRelation' );
+      }
+
+      let page = null;
+      let pageCount = 0;
+      let items = [];
+      let done = false;
+      let pendingRequest = null;
+      let previousStep = Promise.resolve();
+
+      const iterator = {
+         next() {
+            const step = previousStep.then( nextItem );
+            previousStep = step.catch( () => {} );
+            return step;
+         },
+         return( value ) {
+            done = true;
+            items = [];
+            if( pendingRequest ) {
+               pendingRequest.abort();
+            }
+            return Promise.resolve( { value, done: true } );
+         },
+         [ ASYNC_ITERATOR ]() {
+            return iterator;
+         }
+      };
+      return iterator;
+
+      function nextItem() {
+         if( items.length ) {
+            return { value: items.shift(), done: false };
+         }
+         if( done || pageCount >= maxPages ) {
+            return iterator.return();
+         }
+         return fetchPage().then( nextPage => {
+            pendingRequest = null;
+            if( !nextPage || done ) {
+               return iterator.return();
+            }
+            page = nextPage;
+            pageCount++;
+            const key = findRelationKey( page, '_embedded', itemsRelation );
+            const embedded = key ? embeddedOf( page )[ key ] : [];
+            items = Array.isArray( embedded ) ? [ ...embedded ] : [ embedded ];
+            if( backwards ) {
+               items.reverse();
+            }
+            return nextItem();
+         } );
+      }
+
+      function fetchPage() {
+         if( !page && typeof urlOrHalRepresentation !== 'string' ) {
+            return Promise.resolve( urlOrHalRepresentation );
+         }
+         pendingRequest = page ?
+            follow( page, backwards ? prevRelation : nextRelation, requestOptions ) :
+            get( urlOrHalRepresentation, requestOptions );
+         return pendingRequest.then( response => {
+            if( response.status === STATUS_NOREL || response.status === STATUS_ABORTED ) {
+               return null;
+            }
+            // any other virtual status code (e.g. 'timeout') must not be mistaken for the last page
+            if( !isSuccessStatus( response.status ) ) {
+               return Promise.reject( response );
+            }
+            return response.text().then( body => parseRepresentation( body, response ) );
+         } );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Loads a representation together with the representations of the relations listed in the `include`
+    * option, recursively. Embedded representations are used where available, while all other relations of
+    * a representation are requested in parallel. Instead of nested `on` handlers, the result is a single
+    * object tree, in which the representation of each included relation is found at the property of the
+    * same name:
+    *
+    * ```js
+    * hal.load( 'http://host/orders/42', {
+    *    include: {
+    *       customer: true,
+    *       items: { include: { product: true } }
+    *    }
+    * } ).then( ({ data, responses }) => {
+    *    console.log( data.customer.name, data.items.map( item => item.product.name ) );
+    * } );
+    * ```
+    *
+    * Relations having several links or embedded representations are followed using `followAll()` and
+    * hence result in an array. Each entry of the include specification is either `true` or an object with
+    * the nested `include` specification and any further options for following the relation (see
+    * {@link #HalHttpClient.follow()}), including an explicit `followAll` option. If a relation is missing or
+    * its request fails, its property is set to `null`. A request failing without any response (e.g. due to a
+    * network error) is recorded as response with the virtual status code `'error'` (see
+    * {@link #STATUS_ERROR}), having the `error` as `info` property.
+    *
+    * The promise is resolved with an object having the assembled object tree as `data` and a map of all
+    * `responses`. Its keys are the relation paths (such as `'items > product'`, see
+    * {@link #HalHttpClient.followPath()}) and its values are arrays of all responses for that path. The
+    * response for the loaded representation itself is found at the key `''`. If that response does not
+    * have a `2xx` status, the promise is rejected with that response.
+    *
+    * @param {String|Object} urlOrHalRepresentation
+    *    the URL of the representation to load or the representation itself
+    * @param {Object} [optionalOptions]
+    *    configuration to use for all requests (see {@link #HalHttpClient.get()})
+    * @param {Object} [optionalOptions.include]
+    *    the relations to include, as described above
+    *
+    * @return {Promise}
+    *    a promise for an object with the assembled `data` and the `responses`
+    *
+    * @memberof HalHttpClient
+    */
+   function load( urlOrHalRepresentation, optionalOptions = {} ) {
+      const { include = {}, ...requestOptions } = optionalOptions;
+      const responses = {};
+
+      const loaded = typeof urlOrHalRepresentation === 'string' ?
+         get( urlOrHalRepresentation, requestOptions ).then( response => {
+            responses[ '' ] = [ response ];
+            if( !isSuccessStatus( response.status ) ) {
+               return Promise.reject( response );
+            }
+            return readRepresentation( response );
+         } ) :
+         Promise.resolve( urlOrHalRepresentation );
+
+      return loaded
+         .then( representation => assemble( representation, include, [] ) )
+         .then( data => ( { data, responses } ) );
+
+      function assemble( representation, includes, path ) {
+         const relations = Object.keys( includes ).filter( relation => includes[ relation ] );
+         if( !representation || typeof representation !== 'object' || !relations.length ) {
+            return Promise.resolve( representation );
+         }
+         return Promise.all( relations.map( relation => {
+            const { include: nestedIncludes = {}, ...followOptions } =
+               includes[ relation ] === true ? {} : includes[ relation ];
+            const relationPath = [ ...path, relation ];
+            const followAll = 'followAll' in followOptions ?
+               followOptions.followAll :
+               isList( representation, relation );
+            return follow( representation, relation, { ...requestOptions, ...followOptions, followAll } )
+               // a request failing without a response must not prevent loading the other relations
+               .catch( error => ( {
+                  status: STATUS_ERROR,
+                  info: { halRepresentation: representation, relation, error },
+                  headers: {},
+                  text: () => Promise.resolve( JSON.stringify( null ) )
+               } ) )
+               .then( responseOrResponses => {
+                  const relationResponses = Array.isArray( responseOrResponses ) ?
+                     responseOrResponses :
+                     [ responseOrResponses ];
+                  const key = relationPath.join( ' > ' );
+                  responses[ key ] = [ ...( responses[ key ] || [] ), ...relationResponses ];
+                  if( !Array.isArray( responseOrResponses ) && responseOrResponses.status === STATUS_NOREL ) {
+                     return null;
+                  }
+                  return Promise.all( relationResponses.map( response => readRepresentation( response )
+                     .then( _ => assemble( _, nestedIncludes, relationPath ) ) ) )
+                     .then( items => followAll ? items : items[ 0 ] );
+               } );
+         } ) ).then( values => {
+            const data = { ...representation };
+            relations.forEach( ( relation, index ) => { data[ relation ] = values[ index ]; } );
+            rememberBaseUrl( data, baseUrlOf( representation ) );
+            return data;
+         } );
+      }
+
+      function readRepresentation( response ) {
+         if( !isSuccessStatus( response.status ) ) {
+            return Promise.resolve( null );
+         }
+         return response.text().then( body => parseRepresentation( body, response ) );
+      }
+
+      function isList( representation, relation ) {
+         const embeddedKey = findRelationKey( representation, '_embedded', relation );
+         const linkKey = findRelationKey( representation, '_links', relation );
+         return embeddedKey ?
+            Array.isArray( embeddedOf( representation )[ embeddedKey ] ) :
+            !!linkKey && Array.isArray( linksOf( representation )[ linkKey ] );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Submits a [HAL-FORMS](https://rwcbook.github.io/hal-forms/) template of the given representation. The
+    * request is made using the `method`, `target` (by default the `self` link of the representation) and
+    * `contentType` (by default `application/json`) of the template, so that the server is in charge of how
+    * an action is performed:
+    *
+    * ```js
+    * hal.submit( order, 'cancel', { reason: 'Changed my mind' } )
+    *    .on( {
+    *       '2xx': () => console.log( 'Order cancelled' ),
+    *       'invalid': ( data, response ) => showErrors( response.info.errors )
+    *    } );
+    * ```
+    *
+    * The values are completed with the default `value`s of the template properties and validated against
+    * their constraints (`required`, `regex`, `min`, `max`, `minLength`, `maxLength` and inline `options`)
+    * before the request is made. If any value is invalid, no request is made and the `on` handler for the
+    * virtual status code `'invalid'` is called instead. Its response has an `info` object with the
+    * `halRepresentation`, the `template` key, the `values` and the `errors`, each having the `name` of the
+    * property and the violated `constraint`. A missing template is handled using the virtual status code
+    * `'norel'`.
+    *
+    * Values of templates using the `GET` method are sent as query parameters. For the content type
+    * `application/x-www-form-urlencoded`, the values are sent URL encoded, otherwise as JSON.
+    *
+    * @param {Object} halRepresentation
+    *    the representation having the template
+    * @param {String} [key]
+    *    the key of the template in `_templates`. Default is `'default'`
+    * @param {Object} [values]
+    *    the values of the template properties to submit
+    * @param {Object} [optionalOptions]
+    *    configuration to use for the request (see {@link #HalHttpClient.get()} resp.
+    *    {@link #HalHttpClient.post()})
+    *
+    * @return {ResponsePromise}
+    *    an extended promise for the response
+    *
+    * @memberof HalHttpClient
+    */
+   function submit( halRepresentation, key = 'default', values = {}, optionalOptions = {} ) {
+      const formTemplate = ( path( halRepresentation, '_templates', null ) || {} )[ key ];
+      if( !formTemplate ) {
+         return extendResponsePromise( Promise.resolve( {
+            status: STATUS_NOREL,
+            info: { halRepresentation, relation: key },
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( null ) )
+         } ) );
+      }
+
+      const properties = formTemplate.properties || [];
+      const defaults = properties
+         .filter( _ => _.value !== undefined )
+         .reduce( ( defaults, { name, value } ) => ( { ...defaults, [ name ]: value } ), {} );
+      const data = { ...defaults, ...values };
+      const errors = validateFormValues( properties, data );
+      if( errors.length ) {
+         return extendResponsePromise( Promise.resolve( {
+            status: STATUS_INVALID,
+            info: { halRepresentation, template: key, values: data, errors },
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( null ) )
+         } ) );
+      }
+
+      const method = ( formTemplate.method || 'POST' ).toUpperCase();
+      const url = formTemplate.target ?
+         resolveUrl( baseUrlOf( halRepresentation ), formTemplate.target ) :
+         extractUrl( halRepresentation );
+      if( method === 'GET' ) {
+         return get( appendQueryParameters( url, data ), optionalOptions );
+      }
+
+      const contentType = formTemplate.contentType || 'application/json';
+      const options = {
+         ...optionalOptions,
+         headers: { 'content-type': contentType, ...optionalOptions.headers }
+      };
+      return unsafeRequest( method, url, options, data );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Helper factory for `follow()` function calls. The returned function only expects a HAL representation as
+    * argument, and calls {@link #HalHttpClient.follow()} using that representation as first argument.
+    * The purpose of this method is the use within chained `follow()` calls, especially in `on` handlers.
+    *
+    * Example:
+    * ```js
+    * halClient.get( 'http://host/office' )
+    *    .on( { '200': halClient.thenFollow( 'desk' ) } )
+    *    .on( { '200': halClient.thenFollow( 'computer' ) } )
+    *    .on( { '200': halClient.thenFollow( 'keyboard' ) } );
+    * // ...
+    * ```
+    * Assuming every response yields a status of `200`, first a representation of an office resource is
+    * fetched, then the `desk` relation is followed, then within the resulting representation the `computer`
+    * relation is followed and finally within that representation the `keyboard` relation is followed.
+    *
+    * Note that this method cannot be used in an `on` handler after a `followAll` request, as there will be
+    * an array of objects instead of only one object.
+    *
+    * @param {String} relation
+    *    the relation to follow
+    * @param {Object} [optionalOptions]
+    *    configuration to use for the request
+    * @param {Object} [optionalOptions.method]
+    *    method to use for the request(s). If not `GET`, embedded representations will be ignored. Default is
+    *    `GET`
+    * @param {Object} [optionalOptions.body]
+    *    JSON serializable body to send
+    * @param {Object} [optionalOptions.headers]
+    *    headers to send along with the request. The same default headers as for `get()` are used
+    * @param {Object} [optionalOptions.fetchInit]
+    *    additional init options for `fetch` to be used for this request only. The keys `headers`, `body` and
+    *    `method` are ignored from this option, since they are either parameters on their own or implemented
+    *    as specific function.
+    * @param {Boolean} [optionalOptions.followAll]
+    *    if `true`, follows all entities found for that relation. Default is `false`
+    *
+    * @return {Function}
+    *    a function calling `follow` on the response it receives
+    *
+    * @memberof HalHttpClient
+    */
+   function thenFollow( relation, optionalOptions ) {
+      return function( representation ) {
+         return follow( representation, relation, optionalOptions );
+      };
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
     * A shortcut function for {@link #HalHttpClient.thenFollow()} called with `followAll` yielding `true`:
     * `thenFollow( relation, { followAll: true } )`.
     *
@@ -615,66 +1866,547 @@ export function create( optionalOptions = {} ) {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   let continuationPromise;
-   function unsafeRequest( method, urlOrHalRepresentation, optionalOptions = {}, optionalBody = {} ) {
-      const url = extractUrl( urlOrHalRepresentation );
-      const options = {
-         headers: {},
-         fetchInit: {},
-         ...optionalOptions
+   /**
+    * Helper factory for `followPath()` function calls, analogous to {@link #HalHttpClient.thenFollow()}.
+    *
+    * Example:
+    * ```js
+    * halClient.get( 'http://host/office' )
+    *    .on( { '200': halClient.thenFollowPath( 'desk > computer > keyboard' ) } );
+    * ```
+    *
+    * @param {Array<String|Object>|String} relations
+    *    the path of relations to follow
+    * @param {Object} [optionalOptions]
+    *    configuration to use for all hops (see {@link #HalHttpClient.followPath()})
+    *
+    * @return {Function}
+    *    a function calling `followPath` on the response it receives
+    *
+    * @memberof HalHttpClient
+    */
+   function thenFollowPath( relations, optionalOptions ) {
+      return function( representation ) {
+         return followPath( representation, relations, optionalOptions );
       };
+   }
 
-      if( globalOptions.queueUnsafeRequests === true ) {
-         continuationPromise = continuationPromise ? continuationPromise.then( next, next ) : next();
-         return extendResponsePromise( continuationPromise );
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createCacheApi() {
+
+      /**
+       * Provides introspection and eviction of the response cache of a client (see the `cache` option of
+       * {@link #create()}). Cached entries are plain objects having the properties `url`, `status`,
+       * `statusText`, `headers`, `body` (the unparsed response text), `etag`, `lastModified`, `storedAt`
+       * and `freshFor` (the freshness lifetime in seconds, if any). Entries for embedded resources (see the
+       * `cache.seedEmbedded` option) additionally have the property `embedded` set to `true`. If caching is
+       * not enabled, the cache is always empty.
+       *
+       * @name ResponseCache
+       * @constructor
+       */
+      return {
+         urls,
+         has,
+         entries,
+         delete: remove,
+         clear
+      };
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Lists the URLs for which responses are currently cached.
+       *
+       * @return {Promise<Array<String>>}
+       *    a promise for the cached URLs
+       *
+       * @memberof ResponseCache
+       */
+      function urls() {
+         return findCacheEntries( () => true )
+            .then( results => results
+               .map( _ => _.entry.url )
+               .filter( ( url, index, all ) => all.indexOf( url ) === index ) );
       }
 
-      return extendResponsePromise( next() );
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Checks if there is at least one cached response for the given URL.
+       *
+       * @param {String} url
+       *    the URL to check
+       *
+       * @return {Promise<Boolean>}
+       *    a promise for `true` if a response is cached for `url`
+       *
+       * @memberof ResponseCache
+       */
+      function has( url ) {
+         return entries( url ).then( _ => _.length > 0 );
+      }
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      function next() {
-         return doFetch( url, options, method, optionalBody ).then(
-            response => globalOptions.responseTransformer( response ),
-            response => Promise.reject( globalOptions.responseTransformer( response ) )
-         );
+      /**
+       * Returns all cached entries for the given URL. There may be more than one entry, if the resource was
+       * requested using different headers.
+       *
+       * @param {String} url
+       *    the URL to get the cached entries for
+       *
+       * @return {Promise<Array<Object>>}
+       *    a promise for the cached entries
+       *
+       * @memberof ResponseCache
+       */
+      function entries( url ) {
+         return findCacheEntries( entry => entry.url === url ).then( results => results.map( _ => _.entry ) );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Removes all cached entries for the given URL. This method is also available as `delete`.
+       *
+       * @param {String} url
+       *    the URL to remove the cached entries for
+       *
+       * @return {Promise}
+       *    a promise that is resolved when the entries have been removed
+       *
+       * @memberof ResponseCache
+       */
+      function remove( url ) {
+         return findCacheEntries( entry => entry.url === url )
+            .then( results => Promise.all( results.map( _ => deleteCacheEntry( _.key ) ) ) )
+            .then( () => {} );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Removes all cached entries.
+       *
+       * @return {Promise}
+       *    a promise that is resolved when the cache has been cleared
+       *
+       * @memberof ResponseCache
+       */
+      function clear() {
+         if( !cacheStorage ) {
+            return Promise.resolve();
+         }
+         return new Promise( resolve => { resolve( cacheStorage.clear() ); } ).then( () => {} );
       }
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function extendResponsePromise( promise ) {
+   function createOfflineQueueApi() {
 
       /**
-       * A simple extension of a normal
-       * [Promise](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise).
-       * Its purpose is to add some convenience when following relations of a resource. Using the standard
-       * Promise API is still possible.
+       * Provides access to the unsafe requests that were queued due to network errors (see the
+       * `offlineQueue` option of {@link #create()}). Queue entries are plain objects having the properties
+       * `id`, `method`, `url`, `headers`, `body` and `queuedAt`. If the offline queue is not enabled, it is
+       * always empty.
        *
-       * @name ResponsePromise
+       * @name OfflineQueue
        * @constructor
-       * @extends Promise
        */
+      return {
+         entries,
+         replay,
+         discard,
+         clear
+      };
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
       /**
-       * A function to register handlers for the possible
-       * [HTTP status codes](https://tools.ietf.org/html/rfc7231#page-47) returned by the API. This is the
-       * actual heart of this library.
-       *
-       * This function has to be called with a map of status codes to functions responsible for handling the
-       * response that was given for an actual status code. It is possible to group status codes using the
-       * same handler for their codes. And lastly wildcards are possible to be able to treat a specific class
-       * of status codes conveniently the same way.
+       * Lists the queued requests in the order they will be replayed.
        *
-       * Let's have a look at an example:
-       * ```js
-       * const handler1 = ( result, response ) => {};
-       * const handler2 = ( result, response ) => {};
-       * const handler3 = ( result, response ) => {};
-       * const handler4 = ( result, response ) => {};
+       * @return {Promise<Array<Object>>}
+       *    a promise for the queue entries
        *
-       * hal.get( 'my-resource' )
-       *    .on( {
+       * @memberof OfflineQueue
+       */
+      function entries() {
+         return readQueueEntries();
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Replays the queued requests in order. Each request is removed from the queue once it has been
+       * answered with a `2xx` or `3xx` status, or discarded (see the `offlineQueue` option of
+       * {@link #create()} for the hooks being called). The replay stops at the first request failing due to
+       * a network error or a `5xx` response, or conflicting again after its conflict was resolved. If a
+       * replay is already running, no second one is started.
+       *
+       * @return {Promise<Array<Object>>}
+       *    a promise for the entries still queued after the replay
+       *
+       * @memberof OfflineQueue
+       */
+      function replay() {
+         if( !replayPromise ) {
+            const done = () => { replayPromise = null; };
+            replayPromise = replayNext( [] );
+            replayPromise.then( done, done );
+         }
+         return replayPromise;
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Removes a request from the queue without replaying it.
+       *
+       * @param {Number} id
+       *    the `id` of the queue entry to remove
+       *
+       * @return {Promise}
+       *    a promise that is resolved when the entry has been removed
+       *
+       * @memberof OfflineQueue
+       */
+      function discard( id ) {
+         if( !offlineQueueOptions ) {
+            return Promise.resolve();
+         }
+         return new Promise( resolve => { resolve( offlineQueueOptions.storage.delete( `${id}` ) ); } )
+            .then( () => {} );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Removes all requests from the queue without replaying them.
+       *
+       * @return {Promise}
+       *    a promise that is resolved when the queue has been cleared
+       *
+       * @memberof OfflineQueue
+       */
+      function clear() {
+         if( !offlineQueueOptions ) {
+            return Promise.resolve();
+         }
+         return new Promise( resolve => { resolve( offlineQueueOptions.storage.clear() ); } )
+            .then( () => {} );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      function replayNext( resolvedEntryIds ) {
+         return readQueueEntries().then( entries => {
+            if( !entries.length ) {
+               return entries;
+            }
+            const entry = entries[ 0 ];
+            const options = { headers: entry.headers, ifMatch: false, offline: false };
+            return unsafeRequest( entry.method, entry.url, options, entry.body )
+               .then( response => handleReplayResponse( entry, response, resolvedEntryIds ), () => false )
+               .then( proceed => proceed ? replayNext( resolvedEntryIds ) : readQueueEntries() );
+         } );
+      }
+
+      function handleReplayResponse( entry, response, resolvedEntryIds ) {
+         if( response.status === 409 || response.status === 412 ) {
+            if( resolvedEntryIds.indexOf( entry.id ) !== -1 ) {
+               // instead of sending it over and over again, a request that is still conflicting after its
+               // resolution is left to the next replay
+               return false;
+            }
+            resolvedEntryIds.push( entry.id );
+            return Promise.resolve( offlineQueueOptions.onConflict( entry, response ) )
+               .then( resolution => resolution ?
+                  writeQueueEntry( { ...entry, ...resolution, id: entry.id } ) :
+                  discardEntry( entry, response ) )
+               .then( () => true );
+         }
+         if( response.status >= 500 ) {
+            return false;
+         }
+         if( response.status >= 400 ) {
+            return discardEntry( entry, response ).then( () => true );
+         }
+         return discard( entry.id )
+            .then( () => { offlineQueueOptions.onReplay( entry, response ); } )
+            .then( () => true );
+      }
+
+      function discardEntry( entry, response ) {
+         return discard( entry.id ).then( () => { offlineQueueOptions.onDiscard( entry, response ); } );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function enqueueRequest( method, url, headers, body ) {
+      return readQueueEntries().then( entries => {
+         const lastId = entries.length ? entries[ entries.length - 1 ].id : lastQueueEntryId;
+         lastQueueEntryId = Math.max( Date.now(), lastId + 1 );
+         const entry = { id: lastQueueEntryId, method, url, headers, body, queuedAt: Date.now() };
+         return writeQueueEntry( entry ).then( () => ({
+            status: STATUS_QUEUED,
+            info: entry,
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( null ) )
+         }) );
+      } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function writeQueueEntry( entry ) {
+      const { storage } = offlineQueueOptions;
+      return new Promise( resolve => { resolve( storage.set( `${entry.id}`, entry ) ); } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function readQueueEntries() {
+      if( !offlineQueueOptions ) {
+         return Promise.resolve( [] );
+      }
+      const { storage } = offlineQueueOptions;
+      return new Promise( resolve => { resolve( storage.keys() ); } )
+         .then( keys => Promise.all( keys.map( key => storage.get( key ) ) ) )
+         .then( entries => entries.filter( _ => !!_ ).sort( ( a, b ) => a.id - b.id ) );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   let continuationPromise;
+   function unsafeRequest( method, urlOrHalRepresentation, optionalOptions = {}, optionalBody = {} ) {
+      const url = extractUrl( urlOrHalRepresentation );
+      const options = {
+         headers: {},
+         fetchInit: {},
+         ifMatch: globalOptions.ifMatch,
+         dependentUrls: [],
+         ...optionalOptions
+      };
+
+      const abortScope = createAbortScope( { url }, options );
+      if( globalOptions.queueUnsafeRequests === true ) {
+         continuationPromise = continuationPromise ? continuationPromise.then( next, next ) : next();
+         return extendResponsePromise( abortScope.race( continuationPromise ), abortScope.abort );
+      }
+
+      return extendResponsePromise( abortScope.race( next() ), abortScope.abort );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      function next() {
+         if( abortScope.aborted() ) {
+            // the request was aborted while waiting in the queue and hence must not be sent at all
+            return Promise.resolve( null );
+         }
+         const entityTag = ifMatchEntityTag();
+         const headers = entityTag ? { 'if-match': entityTag, ...options.headers } : options.headers;
+         if( !offlineQueueOptions || options.offline === false ) {
+            return send( headers, entityTag );
+         }
+         return readQueueEntries().then( entries => entries.length ?
+            enqueueRequest( method, url, headers, optionalBody ) :
+            send( headers, entityTag ) );
+      }
+
+      function send( headers, entityTag ) {
+         return doFetch( url, { ...abortScope.options, headers }, method, optionalBody ).then(
+            response => globalOptions.responseTransformer( response ),
+            error => {
+               if( offlineQueueOptions && options.offline !== false && !abortScope.aborted() ) {
+                  return enqueueRequest( method, url, headers, optionalBody );
+               }
+               return Promise.reject( globalOptions.responseTransformer( error ) );
+            }
+         ).then( response => {
+            if( response.status === STATUS_QUEUED ) {
+               return response;
+            }
+            rememberEntityTag( url, method, response );
+            if( response.status === 412 && entityTag ) {
+               return fetchConflictingRepresentation( response );
+            }
+            if( response.status >= 200 && response.status < 400 ) {
+               return invalidateAffectedUrls( response ).then( () => response );
+            }
+            return response;
+         } );
+      }
+
+      function ifMatchEntityTag() {
+         const hasExplicitHeader = Object.keys( options.headers ).some( _ => _.toLowerCase() === 'if-match' );
+         if( !options.ifMatch || hasExplicitHeader || method === 'POST' ) {
+            return null;
+         }
+         return entityTags[ url ] || null;
+      }
+
+      function invalidateAffectedUrls( response ) {
+         const headers = headersToObject( response.headers );
+         const affectedUrls = [ url ];
+         [ headers.location, headers[ 'content-location' ] ].forEach( header => {
+            const headerUrl = header && resolveUrl( url, header );
+            if( headerUrl && urlOrigin( headerUrl ) === urlOrigin( url ) ) {
+               affectedUrls.push( headerUrl );
+            }
+         } );
+         const dependentUrls = [
+            ...options.dependentUrls,
+            ...( globalOptions.dependentUrls( { method, url, response } ) || [] )
+         ];
+         dependentUrls.forEach( dependentUrl => { affectedUrls.push( resolveUrl( url, dependentUrl ) ); } );
+
+         return Promise.all( affectedUrls
+            .filter( ( affectedUrl, index ) => affectedUrls.indexOf( affectedUrl ) === index )
+            .map( invalidate ) );
+      }
+
+      function fetchConflictingRepresentation( response ) {
+         return api.get( url, { headers: { 'cache-control': 'no-cache' } } ).then(
+            currentResponse => {
+               if( currentResponse.status < 200 || currentResponse.status >= 300 ) {
+                  return response;
+               }
+               const conflictResponse = {
+                  status: STATUS_CONFLICT,
+                  info: { url, method, body: optionalBody, response, currentResponse },
+                  headers: currentResponse.headers,
+                  text: () => currentResponse.text()
+               };
+               rememberBaseUrl( conflictResponse, url );
+               return conflictResponse;
+            },
+            () => response
+         );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function invalidate( url ) {
+      Object.keys( getPromiseCache )
+         .filter( cacheKey => cacheKey.indexOf( `${url}@` ) === 0 )
+         .forEach( cacheKey => { delete getPromiseCache[ cacheKey ]; } );
+      return cache.delete( url );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function rememberEntityTag( url, method, response ) {
+      if( !response || response.status < 200 || response.status >= 300 ) {
+         return;
+      }
+      const { etag } = headersToObject( response.headers );
+      if( method === 'DELETE' ) {
+         delete entityTags[ url ];
+      }
+      else if( etag ) {
+         entityTags[ url ] = etag;
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createAbortScope( info, options ) {
+      const controller = createAbortController();
+      let settled = false;
+      let abortedResponse = null;
+      let resolveAborted;
+      const abortedPromise = new Promise( resolve => { resolveAborted = resolve; } );
+      const timeout = options.timeout ?
+         setTimeout( () => { abort( STATUS_TIMEOUT ); }, options.timeout ) :
+         null;
+
+      const onSignalAbort = () => { abort(); };
+      if( options.signal ) {
+         if( options.signal.aborted ) {
+            abort();
+         }
+         else {
+            options.signal.addEventListener( 'abort', onSignalAbort );
+         }
+      }
+
+      return {
+         signal: controller.signal,
+         options: controller.native ?
+            { ...options, fetchInit: { ...options.fetchInit, signal: controller.signal } } :
+            options,
+         aborted: () => !!abortedResponse,
+         abort: () => { abort(); },
+         race( promise ) {
+            const result = Promise.race( [ promise, abortedPromise ] );
+            const settle = () => {
+               settled = true;
+               clearTimeout( timeout );
+               // long-lived signals (e.g. of a route) must not keep a listener for every request
+               if( options.signal ) {
+                  options.signal.removeEventListener( 'abort', onSignalAbort );
+               }
+            };
+            result.then( settle, settle );
+            return result;
+         }
+      };
+
+      function abort( status = STATUS_ABORTED ) {
+         if( settled || abortedResponse ) {
+            return;
+         }
+         clearTimeout( timeout );
+         abortedResponse = {
+            status,
+            info,
+            headers: {},
+            text: () => Promise.resolve( JSON.stringify( null ) )
+         };
+         controller.abort();
+         resolveAborted( abortedResponse );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function extendResponsePromise( promise, abort = () => {} ) {
+
+      /**
+       * A simple extension of a normal
+       * [Promise](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise).
+       * Its purpose is to add some convenience when following relations of a resource. Using the standard
+       * Promise API is still possible.
+       *
+       * @name ResponsePromise
+       * @constructor
+       * @extends Promise
+       */
+
+      /**
+       * A function to register handlers for the possible
+       * [HTTP status codes](https://tools.ietf.org/html/rfc7231#page-47) returned by the API. This is the
+       * actual heart of this library.
+       *
+       * This function has to be called with a map of status codes to functions responsible for handling the
+       * response that was given for an actual status code. It is possible to group status codes using the
+       * same handler for their codes. And lastly wildcards are possible to be able to treat a specific class
+       * of status codes conveniently the same way.
+       *
+       * Let's have a look at an example:
+       * ```js
+       * const handler1 = ( result, response ) => {};
+       * const handler2 = ( result, response ) => {};
+       * const handler3 = ( result, response ) => {};
+       * const handler4 = ( result, response ) => {};
+       *
+       * hal.get( 'my-resource' )
+       *    .on( {
        *       '200': handler1,
        *       '201|202|204': handler2,
        *       '5xx': handler3
@@ -708,11 +2440,42 @@ export function create( optionalOptions = {} ) {
        * If a handler returns nothing or `null`, and by that indicating an empty response, subsequent handlers
        * will never be called.
        *
+       * A `4xx` or `5xx` response with the content type `application/problem+json` is parsed into a problem
+       * object (see [RFC 7807](https://tools.ietf.org/html/rfc7807)) having the properties `type` (by default
+       * `'about:blank'`), `title`, `status`, `detail` and `instance`, as well as all extension members of the
+       * problem. Such a response can be handled using the problem `type` URI as key, which takes precedence
+       * over the keys for the status code:
+       * ```js
+       * hal.post( 'http://host/payments', payment )
+       *    .on( {
+       *       'https://example.com/problems/out-of-credit': ( problem, response ) => { ... },
+       *       '4xx': ( problem, response ) => { ... }
+       *    } );
+       * ```
+       *
+       * A request that was aborted using {@link #ResponsePromise.abort()} or the `signal` option is handled
+       * using the virtual code `'aborted'`, while a request exceeding its `timeout` option is handled using
+       * the virtual code `'timeout'`. Just like `'norel'`, these codes are not matched by _xxx_. If there is
+       * no handler for `'aborted'`, the chain silently ends. The same applies to the virtual code `'queued'`
+       * for unsafe requests that were put into the offline queue.
+       *
        * *Special cases*
        *
        * - _An empty list resource_: This will be returned with overall status code _200_.
-       * - _Different status codes for the list items_: This will only trigger the _xxx_ handler.
+       * - _Different status codes for the list items_: This will trigger the _partial_ handler or, if
+       *   missing, only the _xxx_ handler. Instead of the list of results, the _partial_ handler receives an
+       *   object with the lists `succeeded` (for _2xx_ responses) and `failed` (for all others). Each of
+       *   their entries has the `index` of the item, its `status`, its parsed `data` and its `response`
+       * - _A request for a list item failed without a response (e.g. due to a network error)_: Its response
+       *   has the virtual status _error_ and an `info` object with the `url` and the `error`. If there is
+       *   no handler for _error_ when all items failed, this is logged and the next promise is rejected
        * - _The relation to follow doesn't exist_: The _norel_ handler will be called
+       * - _The link to follow is deprecated and `strictDeprecation` is set_: The _deprecated_ handler will be
+       *   called. The response has an `info` object with the `relation`, the `href` and the `deprecation` URL
+       * - _An update was rejected with 412 due to an automatic `If-Match` header_: The _conflict_ handler
+       *   (or if missing, the best matching handler for _412_) will be called with the current
+       *   representation. The response has an `info` object with the `url`, `method` and `body` of the
+       *   rejected request, the original `response` and the `currentResponse`
        *
        *
        * @param {Object} handlers
@@ -723,14 +2486,70 @@ export function create( optionalOptions = {} ) {
        *
        * @memberof ResponsePromise
        */
-      promise.on = handlers => extendResponsePromise( promise.then( createCallStatusHandler( handlers ) ) );
+      promise.on = handlers => {
+         let handlerResult = null;
+         const callStatusHandler = createCallStatusHandler( handlers, result => { handlerResult = result; } );
+         return extendResponsePromise( promise.then( callStatusHandler ), () => {
+            promise.abort();
+            if( handlerResult && typeof handlerResult.abort === 'function' ) {
+               handlerResult.abort();
+            }
+         } );
+      };
+
+      /**
+       * Like {@link #ResponsePromise.on()}, but for the responses of a `followAll()` request, the best
+       * matching handler is called for each response on its own. This way, every item of a list can be
+       * handled according to its own status code, e.g. to render all items that could be fetched, while
+       * showing a hint for the ones that could not:
+       *
+       * ```js
+       * hal.followAll( order, 'item' )
+       *    .onEach( {
+       *       '200': item => renderItem( item ),
+       *       'xxx|error': ( data, response ) => renderMissingItem( response )
+       *    } );
+       * ```
+       *
+       * For a single response, `onEach` behaves like `on`, but still results in an array.
+       *
+       * @param {Object} handlers
+       *    the map of handlers as described for {@link #ResponsePromise.on()}
+       *
+       * @return {ResponsePromise}
+       *    an extended promise for the array of results of all handlers that were called
+       *
+       * @memberof ResponsePromise
+       */
+      promise.onEach = handlers => {
+         const callStatusHandler = createCallStatusHandler( handlers );
+         return extendResponsePromise( promise.then( responseOrResponses => {
+            if( !responseOrResponses ) {
+               return null;
+            }
+            const responses = Array.isArray( responseOrResponses ) ?
+               responseOrResponses :
+               [ responseOrResponses ];
+            return Promise.all( responses.map( callStatusHandler ) );
+         } ), () => { promise.abort(); } );
+      };
+
+      /**
+       * Aborts the request if it is still pending. The `on` handlers for the virtual status code `'aborted'`
+       * are called instead of the ones for the actual response. If called on a promise returned by `on`,
+       * the abort is propagated to the `ResponsePromise` returned by the handler, for example when following
+       * a relation.
+       *
+       * @memberof ResponsePromise
+       */
+      promise.abort = () => { abort(); };
 
       return promise;
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      function createCallStatusHandler( statusHandlers ) {
-         return response => {
+      function createCallStatusHandler( statusHandlers, onHandlerResult = () => {} ) {
+         return function callStatusHandler( response ) {
             if( !response ) {
                return null;
             }
@@ -739,12 +2558,23 @@ export function create( optionalOptions = {} ) {
                return Promise.reject( response );
             }
 
+            if( isProblemResponse( response ) && !response.__problem ) {
+               // the problem type is needed to find the handler and hence has to be read in advance
+               response.__bodyPromise = response.__bodyPromise || readResponseBody( response );
+               return response.__bodyPromise.then( details => {
+                  response.__problem = parseProblem( details, response.status );
+                  return callStatusHandler( response );
+               } );
+            }
+
             let status = response.status || 'xxx';
             if( !( 'status' in response ) && Array.isArray( response ) ) {
                if( response.length ) {
                   status = response[ 0 ].status;
                   if( !response.every( _ => _.status === status ) ) {
-                     status = 'xxx';
+                     const partialHandler =
+                        findBestMatchingStatusHandler( STATUS_PARTIAL, statusHandlers, globalOnHandlers );
+                     status = partialHandler ? STATUS_PARTIAL : 'xxx';
                   }
                }
                else {
@@ -755,13 +2585,58 @@ export function create( optionalOptions = {} ) {
                }
             }
 
-            const handler = findBestMatchingStatusHandler( status, statusHandlers, globalOnHandlers );
+            const problemType = response.__problem ? response.__problem.type : null;
+            const handler =
+               findBestMatchingStatusHandler( status, statusHandlers, globalOnHandlers, problemType );
             if( !handler ) {
+               if( status === STATUS_ABORTED ) {
+                  logDebug( `Request for "${response.info.url || response.info.relation}" was aborted.` );
+                  return null;
+               }
+               if( status === STATUS_QUEUED ) {
+                  const { method, url } = response.info;
+                  logDebug( `${method} of "${url}" was put into the offline queue.` );
+                  return null;
+               }
                if( status === STATUS_NOREL ) {
                   const { relation, halRepresentation } = response.info;
                   logError( `Relation "${relation}" is missing and no ${STATUS_NOREL} handler was found.` );
                   logDebug( `Offending representation: ${JSON.stringify( halRepresentation )}` );
                }
+               else if( status === STATUS_DEPRECATED ) {
+                  const { relation, href, deprecation } = response.info;
+                  logError( `Relation "${relation}" (href: "${href}") is deprecated (see ${deprecation}) ` +
+                     `and no ${STATUS_DEPRECATED} handler was found.` );
+               }
+               else if( status === STATUS_INVALID_VARS ) {
+                  logError( `${describeInvalidVars( response.info )} and no ${STATUS_INVALID_VARS} handler ` +
+                     'was found.' );
+               }
+               else if( status === STATUS_INVALID ) {
+                  const { template, errors } = response.info;
+                  const violations = errors.map( ({ name, constraint }) => `${name} (${constraint})` );
+                  logError( `Values for template "${template}" are invalid (${violations.join( ', ' )}) ` +
+                     `and no ${STATUS_INVALID} handler was found.` );
+               }
+               else if( status === STATUS_ERROR ) {
+                  const urls = ( Array.isArray( response ) ? response : [ response ] ).map( _ => _.info.url );
+                  logError( `Request for "${urls.join( '", "' )}" failed and no ${STATUS_ERROR} handler ` +
+                     'was found.' );
+               }
+               else if( status === STATUS_TIMEOUT ) {
+                  logError( `Request for "${response.info.url || response.info.relation}" timed out and no ` +
+                     `${STATUS_TIMEOUT} handler was found.` );
+               }
+               else if( status === STATUS_CONFLICT ) {
+                  const { method, url } = response.info;
+                  logError( `${method} of "${url}" failed due to a conflict and no ${STATUS_CONFLICT} ` +
+                     'handler was found.' );
+               }
+               else if( response.__problem ) {
+                  const { type, title } = response.__problem;
+                  logError( `Unhandled problem "${type}" (${title}) of response with http status ` +
+                     `"${status}".` );
+               }
                else if( response.config && response.config.url ) {
                   logDebug(
                      `Unhandled http status "${status}" of response for uri "${response.config.url}".`
@@ -782,296 +2657,1857 @@ export function create( optionalOptions = {} ) {
             }
             if( !response.__bodyPromise ) {
                if( Array.isArray( response ) ) {
-                  response.__bodyPromise = Promise.all( response.map( response => response.text() ) );
+                  response.__bodyPromise = Promise.all( response.map( readResponseBody ) );
                }
                else {
-                  response.__bodyPromise = response.text();
+                  response.__bodyPromise = readResponseBody( response );
                }
             }
 
             return response.__bodyPromise
-               .then( body => {
-                  let result = null;
-                  if( Array.isArray( body ) ) {
-                     result = body.map( _ => _ ? parseJson( _ ) : null );
-                  }
-                  else if( body ) {
-                     result = parseJson( body );
-                  }
-                  return handler( result, response );
+               .then( data => {
+                  const result = response.__problem || data;
+                  const handlerResult = status === STATUS_PARTIAL ?
+                     handler( partialResult( result, response ), response ) :
+                     handler( result, response );
+                  onHandlerResult( handlerResult );
+                  return handlerResult;
                } );
+         };
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function findBestMatchingStatusHandler( status, handlers, globalHandlers, problemType = null ) {
+      const statusStr = `${status}`;
+      const localHandlers = expandHandlers( handlers );
+      const virtualStatuses = [
+         STATUS_NOREL,
+         STATUS_ABORTED,
+         STATUS_TIMEOUT,
+         STATUS_QUEUED,
+         STATUS_DEPRECATED,
+         STATUS_INVALID_VARS,
+         STATUS_INVALID,
+         STATUS_PARTIAL,
+         STATUS_ERROR
+      ];
+      const statusKeys = virtualStatuses.indexOf( status ) !== -1 ?
+         [ status ] :
+         statusCodeKeys( status === STATUS_CONFLICT ? '412' : statusStr );
+      if( status === STATUS_CONFLICT ) {
+         statusKeys.unshift( STATUS_CONFLICT );
+      }
+      if( problemType ) {
+         statusKeys.unshift( problemType );
+      }
+
+      for( let i = 0, len = statusKeys.length; i < len; ++i ) {
+         if( statusKeys[ i ] in localHandlers ) {
+            return localHandlers[ statusKeys[ i ] ];
+         }
+      }
+
+      for( let i = 0, len = statusKeys.length; i < len; ++i ) {
+         if( statusKeys[ i ] in globalHandlers ) {
+            return globalHandlers[ statusKeys[ i ] ];
+         }
+      }
+
+      return null;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function statusCodeKeys( statusStr ) {
+      return [ statusStr, `${statusStr.substr( 0, 2 )}x`, `${statusStr[ 0 ]}xx`, 'xxx' ];
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function expandHandlers( handlers ) {
+      const tmp = {};
+
+      Object.keys( handlers ).forEach( key => {
+         const value = handlers[ key ];
+         const keyParts = key.split( '|' );
+         keyParts.forEach( keyPart => {
+            tmp[ keyPart ] = value;
+         } );
+      } );
+
+      return tmp;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function extractUrl( urlOrHalRepresentation ) {
+      const url = typeof urlOrHalRepresentation === 'string' ?
+         urlOrHalRepresentation : path( linksOf( urlOrHalRepresentation ), 'self.href', null );
+
+      if( !url ) {
+         logError( 'Tried to make a request without valid url. Instead got [0:%o].', urlOrHalRepresentation );
+         throw new Error( 'Tried to make a request without valid url' );
+      }
+
+      return typeof urlOrHalRepresentation === 'string' ?
+         url :
+         resolveUrl( baseUrlOf( urlOrHalRepresentation ), url );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createCacheKey( url, headers ) {
+      return Object.keys( headers ).sort().reduce(
+         ( acc, key, index ) => `${acc}${index ? '_' : ''}${key}=${headers[ key ]}`,
+         `${url}@`
+      );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function fetchWithCache( url, options, onUpdate ) {
+      const requestHeaders = headersToObject( createHeaders( 'GET', options.headers ) );
+      const requestCacheControl = parseCacheControl( requestHeaders[ 'cache-control' ] );
+      if( !cacheStorage || requestCacheControl[ 'no-store' ] ) {
+         return doFetch( url, options );
+      }
+
+      CACHE_CONTROL_REQUEST_HEADERS.forEach( name => { delete requestHeaders[ name ]; } );
+      const cacheKey = createCacheKey( url, requestHeaders );
+
+      return readCacheEntry( cacheKey )
+         .then( entry => {
+            if( entry && !requestCacheControl[ 'no-cache' ] && isFresh( entry ) ) {
+               return restoreResponse( createCachedResponse( entry ) );
+            }
+
+            if( entry && options.staleWhileRevalidate ) {
+               revalidateInBackground( entry );
+               return restoreResponse( { ...createCachedResponse( entry ), stale: true } );
+            }
+
+            return doFetch( url, conditionalOptions( entry ) )
+               .then( response => {
+                  if( response.status === 304 && entry ) {
+                     return restoreResponse( createCachedResponse( updateCacheEntry( entry, response ) ) );
+                  }
+
+                  // bodies read by a parser may be binary and are hence not cached
+                  if( response.status === 200 && typeof response.clone === 'function' &&
+                     !lookupMediaType( parsers, mediaTypeOf( response ) ) ) {
+                     response.clone().text()
+                        .then( body => { storeResponse( url, requestHeaders, response, body, options ); } )
+                        .catch( error => {
+                           logDebug( `Failed to cache response for uri "${url}": ${error}` );
+                        } );
+                  }
+                  return response;
+               } );
+         } );
+
+      function revalidateInBackground( entry ) {
+         doFetch( url, { ...conditionalOptions( entry ), priority: BACKGROUND_PRIORITY } )
+            .then( response => {
+               if( response.status === 304 ) {
+                  updateCacheEntry( entry, response );
+                  return null;
+               }
+
+               return response.text().then( body => {
+                  if( response.status !== 200 ) {
+                     logDebug( `Revalidation of uri "${url}" yielded status "${response.status}".` );
+                     return null;
+                  }
+                  storeResponse( url, requestHeaders, response, body, options );
+                  if( body === entry.body ) {
+                     return null;
+                  }
+                  const { status, statusText } = response;
+                  return onUpdate( restoreResponse( {
+                     status,
+                     statusText,
+                     ok: true,
+                     url,
+                     headers: createResponseHeaders( headersToObject( response.headers ) ),
+                     text: () => Promise.resolve( body )
+                  } ) );
+               } );
+            } )
+            .catch( error => {
+               logDebug( `Failed to revalidate uri "${url}": ${error}` );
+            } );
+      }
+
+      function restoreResponse( response ) {
+         // just like fetched responses, cached ones provide base URL and media type of their representation
+         rememberBaseUrl( response, response.url || url );
+         rememberAdapter( response, mediaTypeAdapterFor( response ) );
+         return response;
+      }
+
+      function conditionalOptions( entry ) {
+         const conditionalHeaders = {};
+         if( entry && entry.etag ) {
+            conditionalHeaders[ 'if-none-match' ] = entry.etag;
+         }
+         if( entry && entry.lastModified ) {
+            conditionalHeaders[ 'if-modified-since' ] = entry.lastModified;
+         }
+         return { ...options, headers: { ...conditionalHeaders, ...options.headers } };
+      }
+
+      function updateCacheEntry( entry, notModifiedResponse ) {
+         const updatedHeaders = headersToObject( notModifiedResponse.headers );
+         delete updatedHeaders[ 'content-length' ];
+         const updatedEntry = createCacheEntry( url, entry, { ...entry.headers, ...updatedHeaders } );
+         writeCacheEntry( cacheKey, updatedEntry );
+         return updatedEntry;
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function storeResponse( url, requestHeaders, response, body, options ) {
+      const { shared, seedEmbedded } = globalOptions.cache;
+      const cacheKey = createCacheKey( url, requestHeaders );
+      const headers = headersToObject( response.headers );
+      const cacheControl = parseCacheControl( headers[ 'cache-control' ] );
+      // in stale-while-revalidate mode, every representation may be served later on
+      const storable = isStorable( headers, shared === true ) || ( options.staleWhileRevalidate &&
+         !cacheControl[ 'no-store' ] && !( shared && cacheControl.private ) );
+      if( storable ) {
+         const { status, statusText } = response;
+         writeCacheEntry( cacheKey, createCacheEntry( url, { status, statusText, body }, headers ) );
+      }
+      else {
+         deleteCacheEntry( cacheKey );
+      }
+      if( seedEmbedded && !cacheControl[ 'no-store' ] ) {
+         storeEmbeddedResources( url, requestHeaders, headers, body );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function storeEmbeddedResources( url, requestHeaders, headers, body ) {
+      const { shared, seedEmbedded } = globalOptions.cache;
+      const inheritsFreshness = typeof seedEmbedded !== 'number';
+      const freshFor = inheritsFreshness ? freshnessLifetime( headers, shared === true ) : seedEmbedded;
+      if( !( freshFor > 0 ) ) {
+         return;
+      }
+
+      const embeddedHeaders = {};
+      [ 'content-type', 'date', ...( inheritsFreshness ? [ 'age' ] : [] ) ]
+         .filter( name => name in headers )
+         .forEach( name => { embeddedHeaders[ name ] = headers[ name ]; } );
+
+      let representation;
+      try {
+         representation = JSON.parse( body );
+      }
+      catch( e ) {
+         return;
+      }
+
+      collectEmbeddedResources( representation ).forEach( resource => {
+         const href = path( resource, '_links.self.href', null );
+         if( typeof href !== 'string' ) {
+            return;
+         }
+         const embeddedUrl = resolveUrl( url, href );
+         const entry = createCacheEntry( embeddedUrl, {
+            status: 200,
+            statusText: 'OK',
+            body: JSON.stringify( resource )
+         }, embeddedHeaders );
+         const embeddedCacheKey = createCacheKey( embeddedUrl, requestHeaders );
+         writeCacheEntry( embeddedCacheKey, { ...entry, freshFor, embedded: true } );
+      } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createCacheEntry( url, { status, statusText, body }, headers ) {
+      return {
+         url,
+         status,
+         statusText,
+         headers,
+         body,
+         etag: headers.etag || null,
+         lastModified: headers[ 'last-modified' ] || null,
+         storedAt: Date.now(),
+         freshFor: freshnessLifetime( headers, globalOptions.cache.shared === true )
+      };
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function readCacheEntry( cacheKey ) {
+      return new Promise( resolve => { resolve( cacheStorage.get( cacheKey ) ); } )
+         .catch( error => {
+            logDebug( `Failed to read cache entry "${cacheKey}": ${error}` );
+            return undefined;
+         } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function writeCacheEntry( cacheKey, entry ) {
+      return new Promise( resolve => { resolve( cacheStorage.set( cacheKey, entry ) ); } )
+         .catch( error => {
+            logDebug( `Failed to write cache entry "${cacheKey}": ${error}` );
+         } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function deleteCacheEntry( cacheKey ) {
+      return new Promise( resolve => { resolve( cacheStorage.delete( cacheKey ) ); } )
+         .catch( error => {
+            logDebug( `Failed to delete cache entry "${cacheKey}": ${error}` );
+         } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function findCacheEntries( predicate ) {
+      if( !cacheStorage ) {
+         return Promise.resolve( [] );
+      }
+      return new Promise( resolve => { resolve( cacheStorage.keys() ); } )
+         .then( keys => Promise.all( keys.map( key => readCacheEntry( key )
+            .then( entry => ({ key, entry }) ) ) ) )
+         .then( results => results.filter( _ => _.entry && predicate( _.entry ) ) );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function doFetch( url, options, method = 'GET', bodyObject = undefined ) {
+      const headers = createHeaders( method, options.headers );
+      const lcHeaders = {};
+      Object.keys( headers ).forEach( key => {
+         lcHeaders[ key.toLowerCase() ] = headers[ key ];
+      } );
+
+      const init = createInit( options.fetchInit, method, lcHeaders, bodyObject );
+      const retryPolicy = createRetryPolicy( method, options.retry );
+      const result = applyRequestMiddlewares( { url, init } )
+         .then( ({ url, init }) => fetchWithRetries( url, init, retryPolicy, options.priority )
+            .then( response => applyResponseMiddlewares( { response, url, init } ) )
+            .then( ({ response }) => response ) )
+         .then( response => {
+            // the URL the representation was received from is the base URL to resolve its relative links
+            rememberBaseUrl( response, response.redirected && response.url ? response.url : url );
+            rememberAdapter( response, mediaTypeAdapterFor( response ) );
+            return response;
+         } );
+      return result;
+
+      function applyRequestMiddlewares( requestInfo ) {
+         const combine = ( requestInfoPromise, nextMiddleware ) =>
+            'request' in nextMiddleware ?
+               requestInfoPromise.then( requestInfo => nextMiddleware.request( requestInfo ) ) :
+               requestInfoPromise;
+         return globalOptions.middlewares
+            .reduce( combine, Promise.resolve( requestInfo ) );
+      }
+
+      function applyResponseMiddlewares( responseInfo ) {
+         const combine = ( responsePromise, nextMiddleware ) =>
+            'response' in nextMiddleware ?
+               responsePromise.then( responseInfo => nextMiddleware.response( responseInfo ) ) :
+               responsePromise;
+         return [ ...globalOptions.middlewares ].reverse()
+            .reduce( combine, Promise.resolve( responseInfo ) );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function mediaTypeAdapterFor( response ) {
+      const mediaType = mediaTypeOf( response );
+      return globalOptions.mediaTypes.find( _ => _.mediaType.toLowerCase() === mediaType ) || null;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createRetryPolicy( method, localRetry = globalOptions.retry ) {
+      if( !localRetry ) {
+         return null;
+      }
+      const policy = {
+         ...DEFAULT_RETRY_POLICY,
+         ...( typeof globalOptions.retry === 'object' ? globalOptions.retry : {} ),
+         ...( typeof localRetry === 'object' ? localRetry : {} )
+      };
+      return policy.methods.indexOf( method.toUpperCase() ) === -1 ? null : policy;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function fetchWithRetries( url, init, policy, priority ) {
+      if( !policy ) {
+         return scheduledFetch( url, init, priority );
+      }
+
+      const attempts = [];
+      return attempt();
+
+      function attempt() {
+         if( isAborted() ) {
+            return Promise.reject( new Error( `Request for "${url}" was aborted.` ) );
+         }
+         return scheduledFetch( url, init, priority ).then(
+            response => {
+               const delay = policy.statuses.indexOf( response.status ) === -1 ?
+                  null :
+                  retryDelay( retryAfter( response ) );
+               if( delay === null ) {
+                  response.attempts = attempts;
+                  return response;
+               }
+               attempts.push( { status: response.status, delay } );
+               return wait( delay, init.signal ).then( attempt );
+            },
+            error => {
+               const delay = policy.networkErrors ? retryDelay( null ) : null;
+               if( delay === null ) {
+                  if( error && typeof error === 'object' ) {
+                     error.attempts = attempts;
+                  }
+                  return Promise.reject( error );
+               }
+               attempts.push( { error, delay } );
+               return wait( delay, init.signal ).then( attempt );
+            }
+         );
+      }
+
+      function retryDelay( requestedDelay ) {
+         // aborted requests (e.g. due to a timeout) are not retried, since nobody waits for them anymore
+         if( attempts.length >= policy.retries || isAborted() ) {
+            return null;
+         }
+         if( requestedDelay !== null ) {
+            return requestedDelay <= policy.maxDelay ? requestedDelay : null;
+         }
+         const delay = Math.min( policy.maxDelay, policy.delay * Math.pow( policy.factor, attempts.length ) );
+         return policy.jitter ? Math.round( delay * ( 1 - ( Math.random() / 2 ) ) ) : delay;
+      }
+
+      function isAborted() {
+         return !!init.signal && !!init.signal.aborted;
+      }
+
+      function retryAfter( response ) {
+         const value = headersToObject( response.headers )[ 'retry-after' ];
+         if( !value ) {
+            return null;
+         }
+         if( /^\s*\d+\s*$/.test( value ) ) {
+            return parseInt( value, 10 ) * 1000;
+         }
+         const date = Date.parse( value );
+         return isNaN( date ) ? null : Math.max( 0, date - Date.now() );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function scheduledFetch( url, init, priority = 0 ) {
+      if( !scheduler ) {
+         return fetch( url, init );
+      }
+      return scheduler.schedule( urlOrigin( url ), priority, () => {
+         if( init.signal && init.signal.aborted ) {
+            // no need to occupy a slot for a request that was aborted while waiting
+            return Promise.reject( new Error( `Request for "${url}" was aborted.` ) );
+         }
+         return fetch( url, init );
+      } );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createInit( localInit, method, headers, bodyObject ) {
+      const config = {
+         ...globalOptions.fetchInit,
+         ...localInit,
+         method,
+         headers
+      };
+      delete config.body;
+      if( bodyObject !== undefined ) {
+         config.body = serializeBody( bodyObject, headers[ 'content-type' ] );
+         if( isSelfDescribingBody( config.body ) ) {
+            // fetch sets the content type itself, including the boundary of multipart bodies
+            delete headers[ 'content-type' ];
+         }
+      }
+      return config;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function serializeBody( body, contentType ) {
+      if( isRawBody( body ) ) {
+         return body;
+      }
+      const serializer = lookupMediaType( serializers, parseMediaType( contentType ) );
+      if( serializer ) {
+         return serializer( body );
+      }
+      // pre-encoded bodies of other content types are sent as they are
+      const isEncoded = typeof body === 'string' && !isJsonContentType( contentType );
+      return isEncoded ? body : JSON.stringify( body );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function readResponseBody( response ) {
+      const parser = lookupMediaType( parsers, mediaTypeOf( response ) );
+      if( parser ) {
+         return Promise.resolve( parser( response ) );
+      }
+      return response.text().then( body => parseRepresentation( body, response ) );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function createHeaders( method, localHeaders ) {
+      let defaultHeaders = DEFAULT_UNSAFE_HEADERS;
+      if( method === 'GET' ) {
+         defaultHeaders = DEFAULT_SAFE_HEADERS;
+      }
+      else if( method === 'PATCH' ) {
+         defaultHeaders = DEFAULT_PATCH_HEADERS;
+      }
+      return { ...defaultHeaders, ...mediaTypeHeaders, ...globalOptions.headers, ...localHeaders };
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   return api;
+
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns a copy of the given HAL representation with all HAL media type specific properties removed.
+ * Currently these are `_links` and `_embedded`.
+ *
+ * @param {Object} halRepresentation
+ *    the representation to clean up
+ *
+ * @return {Object}
+ *    the copy without HAL media type keys
+ */
+export function removeHalKeys( halRepresentation ) {
+   if( halRepresentation != null && typeof halRepresentation === 'object' ) {
+      const copy = JSON.parse( JSON.stringify( halRepresentation ) );
+      delete copy._embedded;
+      delete copy._links;
+      return copy;
+   }
+   return halRepresentation;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns `true` if the given relation exists as link or is embedded. If the representation defines
+ * CURIEs, the relation can be given in compact or expanded form (see {@link #expandCurie()}). As different
+ * services may use different prefixes for the same relations, the expanded form matches regardless of the
+ * prefix.
+ *
+ * @param {Object} halRepresentation
+ *    HAL representation to check for the relation
+ * @param {String} relation
+ *    name of the relation to find
+ *
+ * @return {Boolean} `true` if `relation` exists in the representation
+ */
+export function canFollow( halRepresentation, relation ) {
+   return findRelationKey( halRepresentation, '_links', relation ) !== null ||
+      findRelationKey( halRepresentation, '_embedded', relation ) !== null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns the first value of href for the requested relation. Search for the relation starts under
+ * `_links` and continues in `_embedded`, if not found in `_links`. If not found at all, `null` is
+ * returned.
+ * If the relation is found and yields only a single value, that value's `href` attribute value is
+ * returned. If the relation yields a list, the `href` attribute value of the first entry is returned.
+ * Just like for {@link #canFollow()}, the relation can be given in compact or expanded form.
+ *
+ * @param {Object} halRepresentation
+ *    the representation to search for the relation
+ * @param {String} relation
+ *    the relation to get a `href` attribute value from
+ * @param {Object|Function} [optionalSelect]
+ *    selects the link to use, if there are several (see the `select` option of
+ *    {@link #HalHttpClient.follow()})
+ *
+ * @return {String} the `href` attribute value if available, `null` otherwise
+ */
+export function firstRelationHref( halRepresentation, relation, optionalSelect = null ) {
+   const link = firstRelationLink( halRepresentation, relation, optionalSelect );
+   return link ? link.href || null : null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Builds the URL that would be requested when following the given relation, without making a request. Just
+ * like for {@link #firstRelationHref()}, the first matching link is used. Templated links are expanded using
+ * the given variables, and relative links are resolved against the URL the representation was received
+ * from.
+ *
+ * Example:
+ * ```js
+ * relationUrl( cars, 'carsByType', { vars: { type: 'VW' } } ); // e.g. 'http://host/cars/VW'
+ * ```
+ *
+ * @param {Object} halRepresentation
+ *    the representation to search for the relation
+ * @param {String} relation
+ *    the relation to build the URL for
+ * @param {Object} [optionalOptions]
+ *    configuration to use for building the URL
+ * @param {Object} [optionalOptions.vars]
+ *    map of variables to replace in templated URLs
+ * @param {Object|Function} [optionalOptions.select]
+ *    selects the link to use, if there are several (see the `select` option of
+ *    {@link #HalHttpClient.follow()})
+ * @param {Boolean} [optionalOptions.strictTemplates]
+ *    if `true`, an error is thrown if required variables are missing or unknown variables are given (see
+ *    {@link #templateVariables()}). Default is `false`
+ *
+ * @return {String} the URL if the relation is available, `null` otherwise
+ */
+export function relationUrl( halRepresentation, relation, optionalOptions = {} ) {
+   const { vars = {}, select = null, strictTemplates = false } = optionalOptions;
+   const link = firstRelationLink( halRepresentation, relation, select );
+   if( !link || !link.href ) {
+      return null;
+   }
+   if( strictTemplates ) {
+      const invalidVars = validateVars( link, vars );
+      if( invalidVars.missing.length || invalidVars.unknown.length ) {
+         throw new Error( `${describeInvalidVars( { relation, href: link.href, ...invalidVars } )}.` );
+      }
+   }
+   return resolveUrl( baseUrlOf( halRepresentation ), expandPossibleVars( link, vars ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Lists the [HAL-FORMS](https://rwcbook.github.io/hal-forms/) templates of a representation, which can be
+ * submitted using {@link #HalHttpClient.submit()}. Each template has its `key` in `_templates` as
+ * additional property.
+ *
+ * @param {Object} halRepresentation
+ *    the representation to list the templates of
+ *
+ * @return {Array<Object>} the templates of the representation
+ */
+export function formTemplates( halRepresentation ) {
+   const templates = path( halRepresentation, '_templates', null ) || {};
+   return Object.keys( templates ).map( key => ( { key, ...templates[ key ] } ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Lists the variables of a templated link (see [RFC 6570](https://tools.ietf.org/html/rfc6570)). For each
+ * variable, an object with the following properties is returned:
+ *
+ * - `name`: the name of the variable
+ * - `operator`: the operator of the expression, e.g. `'?'` or `'/'` (`''` for simple string expansion)
+ * - `type`: the type of expansion. One of `'simple'`, `'reserved'`, `'fragment'`, `'label'`, `'path'`,
+ *   `'parameter'` or `'query'`
+ * - `explode`: `true` if the variable is exploded (`{?list*}`)
+ * - `prefix`: the maximum length of the prefix to use (`{var:3}`), or `null`
+ * - `required`: `true` for variables of the types `'simple'`, `'reserved'` and `'path'`, since their
+ *   absence would silently yield a different URL. Variables of the other types are omitted including their
+ *   delimiters if missing
+ *
+ * Example:
+ * ```js
+ * templateVariables( { href: '/cars/{type}{?page,size}', templated: true } ).map( _ => _.name );
+ * // [ 'type', 'page', 'size' ]
+ * ```
+ *
+ * @param {Object|String} linkOrHref
+ *    the link (which is only treated as template if marked as `templated`) or an URI template
+ *
+ * @return {Array<Object>} the variables of the template in order of appearance
+ */
+export function templateVariables( linkOrHref ) {
+   const href = typeof linkOrHref === 'string' ? linkOrHref : linkOrHref.templated && linkOrHref.href;
+   if( !href ) {
+      return [];
+   }
+   return ( href.match( TEMPLATE_EXPRESSION_PATTERN ) || [] ).reduce( ( variables, expression ) => {
+      const [ , operator, variableList ] = TEMPLATE_OPERATOR_PATTERN.exec( expression );
+      const type = TEMPLATE_OPERATOR_TYPES[ operator ];
+      variableList.split( ',' ).forEach( variableSpec => {
+         const [ , name, modifier = '' ] = TEMPLATE_VARIABLE_PATTERN.exec( variableSpec.trim() ) || [];
+         if( name ) {
+            variables.push( {
+               name,
+               operator,
+               type,
+               explode: modifier === '*',
+               prefix: modifier.charAt( 0 ) === ':' ? parseInt( modifier.substr( 1 ), 10 ) : null,
+               required: REQUIRED_TEMPLATE_TYPES.indexOf( type ) !== -1
+            } );
+         }
+      } );
+      return variables;
+   }, [] );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns the first value of href for the *self* relation. The same as for {@link #firstRelationHref} holds,
+ * but normally a *self* relation should always be present for a RESTful webservice.
+ *
+ * @param {Object} halRepresentation
+ *    the representation to search for the *self* relation
+ *
+ * @return {String} the `href` attribute value if available, `null` otherwise
+ */
+export function selfLink( halRepresentation ) {
+   return firstRelationHref( halRepresentation, 'self' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Expands a relation given as [CURIE](https://tools.ietf.org/html/draft-kelly-json-hal-08#section-8.2)
+ * (e.g. `ex:orders`) to its full URI, using the `curies` links of the given representation. For example a
+ * curie `{ name: 'ex', href: 'http://example.com/rels/{rel}', templated: true }` expands `ex:orders` to
+ * `http://example.com/rels/orders`. Relations without a matching curie are returned unchanged.
+ *
+ * @param {Object} halRepresentation
+ *    the representation defining the curies
+ * @param {String} relation
+ *    the relation to expand
+ *
+ * @return {String} the expanded relation
+ */
+export function expandCurie( halRepresentation, relation ) {
+   const separatorIndex = relation.indexOf( ':' );
+   if( separatorIndex > 0 ) {
+      const name = relation.substr( 0, separatorIndex );
+      const curie = curies( halRepresentation ).find( _ => _.name === name );
+      if( curie ) {
+         return template.parse( curie.href ).expand( { rel: relation.substr( separatorIndex + 1 ) } );
+      }
+   }
+   return relation;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The reverse of {@link #expandCurie()}: compacts a full relation URI to a CURIE, using the `curies` links
+ * of the given representation. Relations without a matching curie are returned unchanged.
+ *
+ * @param {Object} halRepresentation
+ *    the representation defining the curies
+ * @param {String} relation
+ *    the relation to compact
+ *
+ * @return {String} the compacted relation
+ */
+export function compactCurie( halRepresentation, relation ) {
+   const compacted = curies( halRepresentation )
+      .map( curie => {
+         const [ prefix, suffix, ...rest ] = curie.href.split( '{rel}' );
+         const isMatch = suffix !== undefined && !rest.length &&
+            relation.length > prefix.length + suffix.length &&
+            relation.startsWith( prefix ) && relation.endsWith( suffix );
+         const reference = relation.slice( prefix.length, relation.length - suffix.length );
+         return isMatch ? `${curie.name}:${decodeURIComponent( reference )}` : null;
+      } )
+      .filter( _ => _ !== null );
+   return compacted.length ? compacted[ 0 ] : relation;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns the URL of the documentation for a relation given in compact or expanded form. According to the
+ * HAL specification, this is the expanded URI of a relation that is defined using a curie.
+ *
+ * @param {Object} halRepresentation
+ *    the representation defining the curies
+ * @param {String} relation
+ *    the relation to get the documentation URL for
+ *
+ * @return {String} the documentation URL, or `null` if the relation is not defined using a curie
+ */
+export function relationDocumentationUrl( halRepresentation, relation ) {
+   const compacted = compactCurie( halRepresentation, relation );
+   const expanded = expandCurie( halRepresentation, compacted );
+   return expanded === compacted ? null : expanded;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates the media type adapter for [HAL](https://tools.ietf.org/html/draft-kelly-json-hal-08), which is
+ * used for all representations that were not received with the media type of another adapter (see the
+ * `mediaTypes` option of {@link #create()}). It may serve as an example for custom adapters.
+ *
+ * @return {Object}
+ *    the HAL media type adapter
+ */
+export function createHalAdapter() {
+   return {
+      mediaType: 'application/hal+json',
+      links: representation => representation._links,
+      embedded: representation => representation._embedded
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates a media type adapter for [Siren](https://github.com/kevinswiber/siren) to be used with the
+ * `mediaTypes` option of {@link #create()}. The `links` and embedded links (sub-entities having an `href`)
+ * of an entity are mapped to links for each of their `rel` values, while embedded representations (all
+ * other sub-entities) are mapped to embedded representations.
+ *
+ * @return {Object}
+ *    the Siren media type adapter
+ */
+export function createSirenAdapter() {
+   const entities = representation => listOrEmpty( representation.entities )
+      .filter( _ => _ && typeof _ === 'object' );
+   return {
+      mediaType: 'application/vnd.siren+json',
+      links: representation => [
+         ...listOrEmpty( representation.links ),
+         ...entities( representation ).filter( _ => typeof _.href === 'string' )
+      ].reduce( ( links, { rel, ...link } ) => addRelations( links, rel, link ), {} ),
+      embedded: representation => entities( representation )
+         .filter( _ => typeof _.href !== 'string' )
+         .reduce( ( embedded, entity ) => addRelations( embedded, entity.rel, entity ), {} )
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates a media type adapter for [JSON:API](https://jsonapi.org/) to be used with the `mediaTypes` option
+ * of {@link #create()}. The `links` of a document and of its primary resource are mapped to links, just like
+ * the `related` links of its relationships. Related resources found in `included` are mapped to embedded
+ * representations of their relationship, and the resources of a collection document are mapped to embedded
+ * representations of the relation `item`.
+ *
+ * @return {Object}
+ *    the JSON:API media type adapter
+ */
+export function createJsonApiAdapter() {
+   const primaryResource = document =>
+      document.data && typeof document.data === 'object' && !Array.isArray( document.data ) ?
+         document.data :
+         document;
+   const toLinks = links => Object.keys( objectOrEmpty( links ) ).reduce( ( result, relation ) => {
+      const link = links[ relation ];
+      const href = typeof link === 'string' ? link : link && link.href;
+      return typeof href === 'string' ?
+         { ...result, [ relation ]: { ...( typeof link === 'object' ? link : {} ), href } } :
+         result;
+   }, {} );
+   return {
+      mediaType: 'application/vnd.api+json',
+      links( document ) {
+         const resource = primaryResource( document );
+         const relationships = objectOrEmpty( resource.relationships );
+         const relatedLinks = Object.keys( relationships ).reduce( ( links, relation ) => {
+            const { related } = toLinks( relationships[ relation ] && relationships[ relation ].links );
+            return related ? { ...links, [ relation ]: related } : links;
+         }, {} );
+         return {
+            ...relatedLinks,
+            ...( resource === document ? {} : toLinks( resource.links ) ),
+            ...toLinks( document.links )
+         };
+      },
+      embedded( document ) {
+         const resource = primaryResource( document );
+         const relationships = objectOrEmpty( resource.relationships );
+         const included = listOrEmpty( document.included );
+         const find = ({ type, id }) => included.find( _ => _ && _.type === type && _.id === id );
+         const embedded = Array.isArray( document.data ) ? { item: document.data } : {};
+         return Object.keys( relationships ).reduce( ( embedded, relation ) => {
+            const linkage = relationships[ relation ] && relationships[ relation ].data;
+            const resources = listOrEmpty( linkage ).map( _ => _ && find( _ ) );
+            if( !linkage || !resources.every( _ => _ ) ) {
+               return embedded;
+            }
+            return { ...embedded, [ relation ]: Array.isArray( linkage ) ? resources : resources[ 0 ] };
+         }, embedded );
+      }
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates a cache storage keeping entries in memory. This is the default storage used by the response cache
+ * (see the `cache` option of {@link #create()}). If the maximum number of entries is exceeded, the least
+ * recently used entries are evicted.
+ *
+ * @param {Object} [optionalOptions]
+ *    configuration of the storage
+ * @param {Number} [optionalOptions.maxEntries]
+ *    the maximum number of entries to keep. Default is `100`
+ *
+ * @return {Object}
+ *    a new cache storage
+ */
+export function createMemoryCacheStorage( optionalOptions = {} ) {
+   const { maxEntries } = { maxEntries: 100, ...optionalOptions };
+   const entries = new Map();
+
+   return {
+      get( key ) {
+         if( !entries.has( key ) ) {
+            return undefined;
+         }
+         const entry = entries.get( key );
+         entries.delete( key );
+         entries.set( key, entry );
+         return entry;
+      },
+      set( key, entry ) {
+         entries.delete( key );
+         entries.set( key, entry );
+         while( entries.size > maxEntries ) {
+            entries.delete( entries.keys().next().value );
+         }
+      },
+      delete( key ) {
+         entries.delete( key );
+      },
+      keys() {
+         return Array.from( entries.keys() );
+      },
+      clear() {
+         entries.clear();
+      }
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates a cache storage serializing its entries into a storage implementing the
+ * [Web Storage API](https://developer.mozilla.org/en-US/docs/Web/API/Storage), such as `localStorage` or
+ * `sessionStorage`. This way cached representations can outlive a page reload.
+ *
+ * Example:
+ * ```js
+ * const hal = create( {
+ *    cache: { storage: createWebStorageCacheStorage( window.localStorage ) }
+ * } );
+ * ```
+ *
+ * @param {Object} webStorage
+ *    the storage to serialize the entries into
+ * @param {Object} [optionalOptions]
+ *    configuration of the storage
+ * @param {String} [optionalOptions.prefix]
+ *    a prefix for the keys used in `webStorage`, separating the entries from other data. Default is
+ *    `'hal-http-client:'`
+ *
+ * @return {Object}
+ *    a new cache storage
+ */
+export function createWebStorageCacheStorage( webStorage, optionalOptions = {} ) {
+   const { prefix } = { prefix: 'hal-http-client:', ...optionalOptions };
+
+   return {
+      get( key ) {
+         const item = webStorage.getItem( `${prefix}${key}` );
+         return item == null ? undefined : JSON.parse( item );
+      },
+      set( key, entry ) {
+         webStorage.setItem( `${prefix}${key}`, JSON.stringify( entry ) );
+      },
+      delete( key ) {
+         webStorage.removeItem( `${prefix}${key}` );
+      },
+      keys,
+      clear() {
+         keys().forEach( key => { webStorage.removeItem( `${prefix}${key}` ); } );
+      }
+   };
+
+   function keys() {
+      const result = [];
+      for( let i = 0; i < webStorage.length; ++i ) {
+         const key = webStorage.key( i );
+         if( key && key.indexOf( prefix ) === 0 ) {
+            result.push( key.substr( prefix.length ) );
+         }
+      }
+      return result;
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function parseCacheControl( value ) {
+   const directives = {};
+   if( !value ) {
+      return directives;
+   }
+   value.split( ',' ).forEach( directive => {
+      const [ name, ...argument ] = directive.split( '=' );
+      if( name.trim() ) {
+         directives[ name.trim().toLowerCase() ] = argument.length ?
+            argument.join( '=' ).trim().replace( /^"|"$/g, '' ) :
+            true;
+      }
+   } );
+   return directives;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isStorable( headers, shared ) {
+   const cacheControl = parseCacheControl( headers[ 'cache-control' ] );
+   if( cacheControl[ 'no-store' ] || ( shared && cacheControl.private ) ) {
+      return false;
+   }
+   return !!( headers.etag || headers[ 'last-modified' ] ) || freshnessLifetime( headers, shared ) > 0;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function freshnessLifetime( headers, shared ) {
+   const cacheControl = parseCacheControl( headers[ 'cache-control' ] );
+   if( cacheControl[ 'no-cache' ] ) {
+      return null;
+   }
+   if( shared && 's-maxage' in cacheControl ) {
+      return parseInt( cacheControl[ 's-maxage' ], 10 ) || 0;
+   }
+   if( 'max-age' in cacheControl ) {
+      return parseInt( cacheControl[ 'max-age' ], 10 ) || 0;
+   }
+   if( headers.expires ) {
+      const expires = Date.parse( headers.expires );
+      const date = headers.date ? Date.parse( headers.date ) : Date.now();
+      return isNaN( expires ) || isNaN( date ) ? 0 : Math.max( 0, ( expires - date ) / 1000 );
+   }
+   return null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isFresh( entry ) {
+   if( entry.freshFor == null ) {
+      return false;
+   }
+   const initialAge = parseInt( entry.headers.age, 10 ) || 0;
+   const currentAge = initialAge + ( ( Date.now() - entry.storedAt ) / 1000 );
+   return currentAge < entry.freshFor;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function wait( milliseconds, signal = null ) {
+   return new Promise( resolve => {
+      const canAbort = !!signal && typeof signal.addEventListener === 'function';
+      let timeout = null;
+      const done = () => {
+         clearTimeout( timeout );
+         if( canAbort ) {
+            signal.removeEventListener( 'abort', done );
+         }
+         resolve();
+      };
+      timeout = setTimeout( done, milliseconds );
+      if( canAbort ) {
+         signal.addEventListener( 'abort', done );
+      }
+   } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function curies( halRepresentation ) {
+   const curieLinks = linksOf( halRepresentation ).curies || [];
+   return ( Array.isArray( curieLinks ) ? curieLinks : [ curieLinks ] )
+      .filter( _ => _ && typeof _.name === 'string' && typeof _.href === 'string' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Finds the key under which a relation is stored in the `_links` or `_embedded` map of a representation.
+ * Besides the relation itself, keys matching its compact or expanded CURIE form are found as well.
+ *
+ * @private
+ */
+function findRelationKey( halRepresentation, container, relation ) {
+   const relations = container === '_links' ? linksOf( halRepresentation ) : embeddedOf( halRepresentation );
+   if( relations.hasOwnProperty( relation ) ) {
+      return relation;
+   }
+   const expanded = expandCurie( halRepresentation, relation );
+   const key = Object.keys( relations )
+      .find( key => key !== 'curies' && expandCurie( halRepresentation, key ) === expanded );
+   return key === undefined ? null : key;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function matchesLink( link, select ) {
+   if( !link || typeof link !== 'object' ) {
+      return false;
+   }
+   if( typeof select === 'function' ) {
+      return !!select( link );
+   }
+   return Object.keys( select ).every( key => link[ key ] === select[ key ] );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function parseRelationPath( relations ) {
+   const hops = Array.isArray( relations ) ? relations : relations.split( '>' ).map( _ => _.trim() );
+   return hops.map( hop => typeof hop === 'string' ? { relation: hop } : hop );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createScheduler( limits ) {
+   const waiting = [];
+   const running = {};
+   let runningTotal = 0;
+
+   return { schedule };
+
+   function schedule( key, priority, task ) {
+      return new Promise( ( resolve, reject ) => {
+         const index = waiting.findIndex( _ => _.priority < priority );
+         waiting.splice( index === -1 ? waiting.length : index, 0, { key, priority, task, resolve, reject } );
+         startNext();
+      } );
+   }
+
+   function startNext() {
+      for( let i = 0; i < waiting.length && runningTotal < limits.max; ) {
+         if( ( running[ waiting[ i ].key ] || 0 ) < limits.perOrigin ) {
+            start( waiting.splice( i, 1 )[ 0 ] );
+         }
+         else {
+            ++i;
+         }
+      }
+   }
+
+   function start( { key, task, resolve, reject } ) {
+      ++runningTotal;
+      running[ key ] = ( running[ key ] || 0 ) + 1;
+      const finish = () => {
+         --runningTotal;
+         if( --running[ key ] === 0 ) {
+            delete running[ key ];
+         }
+         startNext();
+      };
+      new Promise( resolve => { resolve( task() ); } ).then(
+         result => { finish(); resolve( result ); },
+         error => { finish(); reject( error ); }
+      );
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createAbortController() {
+   if( typeof AbortController === 'function' ) {
+      const controller = new AbortController();
+      return { signal: controller.signal, abort: () => { controller.abort(); }, native: true };
+   }
+
+   // minimal replacement for environments without AbortController, where requests cannot be cancelled but
+   // the abort is still propagated to dependent requests
+   const listeners = [];
+   const signal = {
+      aborted: false,
+      addEventListener( type, listener ) {
+         if( type === 'abort' ) {
+            listeners.push( listener );
+         }
+      }
+   };
+   return {
+      signal,
+      abort() {
+         if( !signal.aborted ) {
+            signal.aborted = true;
+            listeners.forEach( listener => { listener(); } );
+         }
+      },
+      native: false
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Base URLs of received representations and responses, used to resolve relative links
+ * (https://tools.ietf.org/html/rfc3986#section-5.1).
+ *
+ * @private
+ */
+const baseUrls = new WeakMap();
+
+function rememberBaseUrl( representationOrResponse, baseUrl ) {
+   if( baseUrl && representationOrResponse && typeof representationOrResponse === 'object' ) {
+      baseUrls.set( representationOrResponse, baseUrl );
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function baseUrlOf( representationOrResponse ) {
+   if( !representationOrResponse || typeof representationOrResponse !== 'object' ) {
+      return null;
+   }
+   return baseUrls.get( representationOrResponse ) || null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Media type adapters of received representations and responses, if other than HAL.
+ *
+ * @private
+ */
+const adapters = new WeakMap();
+
+function rememberAdapter( representationOrResponse, adapter ) {
+   if( adapter && representationOrResponse && typeof representationOrResponse === 'object' ) {
+      adapters.set( representationOrResponse, adapter );
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function adapterOf( representationOrResponse ) {
+   const adapter = representationOrResponse && typeof representationOrResponse === 'object' &&
+      adapters.get( representationOrResponse );
+   return adapter || HAL_ADAPTER;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function linksOf( representation ) {
+   if( !representation || typeof representation !== 'object' ) {
+      return {};
+   }
+   return objectOrEmpty( adapterOf( representation ).links( representation ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function embeddedOf( representation ) {
+   if( !representation || typeof representation !== 'object' ) {
+      return {};
+   }
+   return objectOrEmpty( adapterOf( representation ).embedded( representation ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createJsonPatch( from, to, pointer = '' ) {
+   if( isJsonEqual( from, to ) ) {
+      return [];
+   }
+   if( Array.isArray( from ) && Array.isArray( to ) ) {
+      return createArrayPatch( from, to, pointer );
+   }
+   if( !isJsonObject( from ) || !isJsonObject( to ) ) {
+      return [ { op: 'replace', path: pointer, value: to } ];
+   }
+   const keyPointer = key => `${pointer}/${key.replace( /~/g, '~0' ).replace( /\//g, '~1' )}`;
+   const fromKeys = Object.keys( from ).filter( key => from[ key ] !== undefined );
+   const toKeys = Object.keys( to ).filter( key => to[ key ] !== undefined );
+   return [
+      ...fromKeys
+         .filter( key => toKeys.indexOf( key ) === -1 )
+         .map( key => ( { op: 'remove', path: keyPointer( key ) } ) ),
+      ...toKeys
+         .filter( key => fromKeys.indexOf( key ) === -1 )
+         .map( key => ( { op: 'add', path: keyPointer( key ), value: to[ key ] } ) ),
+      ...toKeys
+         .filter( key => fromKeys.indexOf( key ) !== -1 )
+         .reduce( ( changes, key ) => [
+            ...changes,
+            ...createJsonPatch( from[ key ], to[ key ], keyPointer( key ) )
+         ], [] )
+   ];
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createArrayPatch( from, to, pointer ) {
+   // only the items between the unchanged start and end of the arrays need to be compared
+   let start = 0;
+   while( start < from.length && start < to.length && isJsonEqual( from[ start ], to[ start ] ) ) {
+      ++start;
+   }
+   let end = 0;
+   while( end < from.length - start && end < to.length - start &&
+      isJsonEqual( from[ from.length - 1 - end ], to[ to.length - 1 - end ] ) ) {
+      ++end;
+   }
+   const removable = from.slice( start, from.length - end );
+   const addable = to.slice( start, to.length - end );
+
+   // lengths of the longest common subsequences of all suffixes, to keep as many items as possible
+   const lcs = removable.map( () => addable.map( () => 0 ) );
+   const lcsAt = ( i, j ) => i < removable.length && j < addable.length ? lcs[ i ][ j ] : 0;
+   for( let i = removable.length - 1; i >= 0; --i ) {
+      for( let j = addable.length - 1; j >= 0; --j ) {
+         lcs[ i ][ j ] = isJsonEqual( removable[ i ], addable[ j ] ) ?
+            lcsAt( i + 1, j + 1 ) + 1 :
+            Math.max( lcsAt( i + 1, j ), lcsAt( i, j + 1 ) );
+      }
+   }
+
+   const changes = [];
+   let index = start;
+   let removed = [];
+   let added = [];
+   let i = 0;
+   let j = 0;
+   while( i < removable.length || j < addable.length ) {
+      if( i < removable.length && j < addable.length && isJsonEqual( removable[ i ], addable[ j ] ) ) {
+         flushHunk();
+         ++index;
+         ++i;
+         ++j;
+      }
+      else if( j >= addable.length || ( i < removable.length && lcsAt( i + 1, j ) >= lcsAt( i, j + 1 ) ) ) {
+         removed.push( removable[ i++ ] );
+      }
+      else {
+         added.push( addable[ j++ ] );
+      }
+   }
+   flushHunk();
+   return changes;
+
+   function flushHunk() {
+      // items replaced by others at the same position are patched instead of being removed and added again
+      const replaced = Math.min( removed.length, added.length );
+      for( let k = 0; k < replaced; ++k ) {
+         changes.push( ...createJsonPatch( removed[ k ], added[ k ], `${pointer}/${index + k}` ) );
+      }
+      for( let k = replaced; k < removed.length; ++k ) {
+         changes.push( { op: 'remove', path: `${pointer}/${index + replaced}` } );
+      }
+      for( let k = replaced; k < added.length; ++k ) {
+         changes.push( { op: 'add', path: `${pointer}/${index + k}`, value: added[ k ] } );
+      }
+      index += added.length;
+      removed = [];
+      added = [];
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createMergePatch( from, to ) {
+   if( !isJsonObject( from ) || !isJsonObject( to ) ) {
+      return to;
+   }
+   const mergePatch = {};
+   Object.keys( from )
+      .filter( key => from[ key ] !== undefined && to[ key ] === undefined )
+      .forEach( key => { mergePatch[ key ] = null; } );
+   Object.keys( to )
+      .filter( key => to[ key ] !== undefined && !isJsonEqual( from[ key ], to[ key ] ) )
+      .forEach( key => { mergePatch[ key ] = createMergePatch( from[ key ], to[ key ] ); } );
+   return mergePatch;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isJsonObject( value ) {
+   return value !== null && typeof value === 'object' && !Array.isArray( value );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isJsonEqual( a, b ) {
+   if( Array.isArray( a ) && Array.isArray( b ) ) {
+      return a.length === b.length && a.every( ( _, index ) => isJsonEqual( a[ index ], b[ index ] ) );
+   }
+   if( isJsonObject( a ) && isJsonObject( b ) ) {
+      const aKeys = Object.keys( a ).filter( key => a[ key ] !== undefined );
+      const bKeys = Object.keys( b ).filter( key => b[ key ] !== undefined );
+      return aKeys.length === bKeys.length && aKeys.every( key => isJsonEqual( a[ key ], b[ key ] ) );
+   }
+   return a === b;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function mediaTypeOf( response ) {
+   const contentType = response.headers && typeof response.headers.get === 'function' ?
+      response.headers.get( 'content-type' ) :
+      null;
+   return parseMediaType( contentType );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function parseMediaType( contentType ) {
+   return ( contentType || '' ).split( ';' )[ 0 ].trim().toLowerCase();
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function lookupMediaType( registry, mediaType ) {
+   if( !mediaType ) {
+      return null;
+   }
+   const wildcard = `${mediaType.split( '/' )[ 0 ]}/*`;
+   return registry[ mediaType ] || registry[ wildcard ] || null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isRawBody( body ) {
+   return !!body && typeof body === 'object' && (
+      isSelfDescribingBody( body ) ||
+      ( typeof Blob === 'function' && body instanceof Blob ) ||
+      ( typeof ArrayBuffer === 'function' && ( body instanceof ArrayBuffer || ArrayBuffer.isView( body ) ) )
+   );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isSelfDescribingBody( body ) {
+   return ( typeof FormData === 'function' && body instanceof FormData ) ||
+      ( typeof URLSearchParams === 'function' && body instanceof URLSearchParams );
+}
 
-            function parseJson( json ) {
-               try {
-                  return JSON.parse( json );
-               }
-               catch( e ) {
-                  // e.g. because an HTML error page was served
-                  return null;
-               }
-            }
-         };
-      }
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createFormData( values ) {
+   if( isRawBody( values ) || !values || typeof values !== 'object' ) {
+      return values;
    }
+   const formData = new FormData();
+   Object.keys( values )
+      .filter( name => values[ name ] !== undefined && values[ name ] !== null )
+      .forEach( name => {
+         [].concat( values[ name ] ).forEach( value => {
+            formData.append( name, typeof value === 'object' && !isRawBody( value ) ?
+               JSON.stringify( value ) :
+               value );
+         } );
+      } );
+   return formData;
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function expandPossibleVars( link, vars ) {
-      if( !link.templated ) {
-         return link.href;
-      }
+function readBinary( response ) {
+   // node-fetch does not support blobs, but offers buffers instead
+   const read = [ 'blob', 'arrayBuffer', 'buffer' ].filter( _ => typeof response[ _ ] === 'function' )[ 0 ];
+   return read ? response[ read ]() : response.text();
+}
 
-      return template.parse( link.href ).expand( vars );
-   }
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+function isProblemResponse( response ) {
+   return !Array.isArray( response ) && typeof response.status === 'number' && response.status >= 400 &&
+      mediaTypeOf( response ) === PROBLEM_CONTENT_TYPE;
+}
 
-   function findBestMatchingStatusHandler( status, handlers, globalHandlers ) {
-      const statusStr = `${status}`;
-      const localHandlers = expandHandlers( handlers );
-      const statusKeys = status === STATUS_NOREL ?
-         [ STATUS_NOREL ] :
-         [ statusStr, `${statusStr.substr( 0, 2 )}x`, `${statusStr[ 0 ]}xx`, 'xxx' ];
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      for( let i = 0, len = statusKeys.length; i < len; ++i ) {
-         if( statusKeys[ i ] in localHandlers ) {
-            return localHandlers[ statusKeys[ i ] ];
-         }
-      }
+function parseProblem( details, status ) {
+   const problem = details && typeof details === 'object' ? details : {};
+   return {
+      title: null,
+      detail: null,
+      instance: null,
+      ...problem,
+      type: problem.type || 'about:blank',
+      status: problem.status || status
+   };
+}
 
-      for( let i = 0, len = statusKeys.length; i < len; ++i ) {
-         if( statusKeys[ i ] in globalHandlers ) {
-            return globalHandlers[ statusKeys[ i ] ];
-         }
-      }
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      return null;
+function objectOrEmpty( value ) {
+   return value && typeof value === 'object' && !Array.isArray( value ) ? value : {};
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function listOrEmpty( value ) {
+   if( value === undefined || value === null ) {
+      return [];
    }
+   return Array.isArray( value ) ? value : [ value ];
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function expandHandlers( handlers ) {
-      const tmp = {};
+function addRelations( relations, relationOrRelations, value ) {
+   listOrEmpty( relationOrRelations ).forEach( relation => {
+      const existing = relations[ relation ];
+      relations[ relation ] = existing === undefined ? value : [ ...listOrEmpty( existing ), value ];
+   } );
+   return relations;
+}
 
-      Object.keys( handlers ).forEach( key => {
-         const value = handlers[ key ];
-         const keyParts = key.split( '|' );
-         keyParts.forEach( keyPart => {
-            tmp[ keyPart ] = value;
-         } );
-      } );
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      return tmp;
+function parseRepresentation( body, response ) {
+   const representation = body ? parseJson( body ) : null;
+   const baseUrl = baseUrlOf( response ) || ( response && response.url ) || null;
+   const adapter = response && typeof response === 'object' && adapters.get( response );
+   if( ( baseUrl || adapter ) && representation && typeof representation === 'object' ) {
+      // embedded representations share the base URL and media type of the document they are embedded in
+      [ representation, ...collectEmbeddedResources( representation, adapter || adapterOf( null ) ) ]
+         .forEach( _ => {
+            rememberBaseUrl( _, baseUrl );
+            rememberAdapter( _, adapter );
+         } );
    }
+   return representation;
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   /*
-    * Similar to `Promise.all` but waits for all promises to be fulfilled, no matter if some get rejected or
-    * not.
-    * The resulting promise is rejected if at least one input promise is rejected and resolved otherwise.
-    * The argument array consists of all promise values, thus inspection by the application is necessary to
-    * sort out the rejections.
-    *
-    * @private
-    */
-   function allSettled( promises ) {
-      return new Promise( ( resolve, reject ) => {
-         const finished = [];
-         let waitingFor = promises.length;
-         let failed = false;
-
-         promises.forEach( ( promise, index ) => {
-            promise.then( doneCallback( false ), doneCallback( true ) );
-
-            function doneCallback( rejected ) {
-               return function( result ) {
-                  failed = rejected || failed;
-                  finished[ index ] = result;
-                  if( --waitingFor === 0 ) {
-                     if( failed ) {
-                        reject( finished );
-                     }
-                     else {
-                        resolve( finished );
-                     }
-                  }
-               };
-            }
-         } );
-      } );
+function parseJson( json ) {
+   try {
+      return JSON.parse( json );
    }
+   catch( e ) {
+      // e.g. because an HTML error page was served
+      return null;
+   }
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function extractUrl( urlOrHalRepresentation ) {
-      const url = typeof urlOrHalRepresentation === 'string' ?
-         urlOrHalRepresentation : path( urlOrHalRepresentation, '_links.self.href', null );
+function partialResult( results, responses ) {
+   return responses.reduce( ( partial, response, index ) => {
+      const { status } = response;
+      const item = { index, status, data: results[ index ], response };
+      ( status >= 200 && status < 300 ? partial.succeeded : partial.failed ).push( item );
+      return partial;
+   }, { succeeded: [], failed: [] } );
+}
 
-      if( !url ) {
-         logError( 'Tried to make a request without valid url. Instead got [0:%o].', urlOrHalRepresentation );
-         throw new Error( 'Tried to make a request without valid url' );
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function isSuccessStatus( status ) {
+   // virtual status codes like 'norel' or 'timeout' are never successful
+   return typeof status === 'number' && status >= 200 && status < 300;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function firstRelationLink( halRepresentation, relation, optionalSelect ) {
+   const matches = link => !optionalSelect || matchesLink( link, optionalSelect );
+   const linkKey = findRelationKey( halRepresentation, '_links', relation );
+   if( linkKey !== null ) {
+      const linkOrLinks = linksOf( halRepresentation )[ linkKey ];
+      const link = ( Array.isArray( linkOrLinks ) ? linkOrLinks : [ linkOrLinks ] ).find( matches );
+      if( link ) {
+         return link;
       }
+   }
 
-      return url;
+   const embeddedKey = findRelationKey( halRepresentation, '_embedded', relation );
+   if( embeddedKey === null ) {
+      return null;
    }
+   const embedded = embeddedOf( halRepresentation )[ embeddedKey ];
+   const selfLinks = ( Array.isArray( embedded ) ? embedded : [ embedded ] )
+      .map( resource => linksOf( resource ).self || null );
+   return selfLinks.find( _ => _ && matches( _ ) ) || null;
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function createCacheKey( url, headers ) {
-      return Object.keys( headers ).sort().reduce(
-         ( acc, key, index ) => `${acc}${index ? '_' : ''}${key}=${headers[ key ]}`,
-         `${url}@`
-      );
+function expandPossibleVars( link, vars ) {
+   if( !link.templated ) {
+      return link.href;
    }
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+   return template.parse( link.href ).expand( vars );
+}
 
-   function doFetch( url, options, method = 'GET', bodyObject = undefined ) {
-      const headers = createHeaders( method, options.headers );
-      const lcHeaders = {};
-      Object.keys( headers ).forEach( key => {
-         lcHeaders[ key.toLowerCase() ] = headers[ key ];
-      } );
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      const init = createInit( options.fetchInit, method, lcHeaders, bodyObject );
-      const result = applyRequestMiddlewares( { url, init } )
-         .then( ({ url, init }) => fetch( url, init )
-            .then( response => applyResponseMiddlewares( { response, url, init } ) )
-            .then( ({ response }) => response ) );
-      return result;
+function validateVars( link, vars ) {
+   if( !link.templated ) {
+      return { missing: [], unknown: [] };
+   }
+   const variables = templateVariables( link );
+   const isMissing = value => value === undefined || value === null || value === '';
+   return {
+      missing: variables.filter( _ => _.required && isMissing( vars[ _.name ] ) ).map( _ => _.name ),
+      unknown: Object.keys( vars ).filter( name => !variables.some( _ => _.name === name ) )
+   };
+}
 
-      function applyRequestMiddlewares( requestInfo ) {
-         const combine = ( requestInfoPromise, nextMiddleware ) =>
-            'request' in nextMiddleware ?
-               requestInfoPromise.then( requestInfo => nextMiddleware.request( requestInfo ) ) :
-               requestInfoPromise;
-         return globalOptions.middlewares
-            .reduce( combine, Promise.resolve( requestInfo ) );
-      }
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-      function applyResponseMiddlewares( responseInfo ) {
-         const combine = ( responsePromise, nextMiddleware ) =>
-            'response' in nextMiddleware ?
-               responsePromise.then( responseInfo => nextMiddleware.response( responseInfo ) ) :
-               responsePromise;
-         return [ ...globalOptions.middlewares ].reverse()
-            .reduce( combine, Promise.resolve( responseInfo ) );
+function validateFormValues( properties, values ) {
+   const isMissing = value => value === undefined || value === null || value === '';
+   return properties.reduce( ( errors, property ) => {
+      const { name } = property;
+      const value = values[ name ];
+      if( isMissing( value ) ) {
+         return property.required ? [ ...errors, { name, constraint: 'required' } ] : errors;
       }
-   }
+      const violations = [
+         property.regex && !new RegExp( `^(?:${property.regex})$` ).test( `${value}` ) && 'regex',
+         property.min !== undefined && Number( value ) < property.min && 'min',
+         property.max !== undefined && Number( value ) > property.max && 'max',
+         property.minLength !== undefined && `${value}`.length < property.minLength && 'minLength',
+         property.maxLength !== undefined && `${value}`.length > property.maxLength && 'maxLength',
+         !isInlineOption( property.options, value ) && 'options'
+      ].filter( _ => _ );
+      return [ ...errors, ...violations.map( constraint => ( { name, constraint } ) ) ];
+   }, [] );
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function createInit( localInit, method, headers, bodyObject ) {
-      const config = {
-         ...globalOptions.fetchInit,
-         ...localInit,
-         method,
-         headers
-      };
-      delete config.body;
-      if( bodyObject !== undefined ) {
-         config.body = JSON.stringify( bodyObject );
-      }
-      return config;
+function isInlineOption( options, value ) {
+   const inline = options && options.inline;
+   if( !Array.isArray( inline ) ) {
+      // options that are not given inline (but e.g. using a link) cannot be checked here
+      return true;
    }
+   const optionValues = inline.map( _ => _ && typeof _ === 'object' ? _.value : _ );
+   return ( Array.isArray( value ) ? value : [ value ] ).every( _ => optionValues.indexOf( _ ) !== -1 );
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function createHeaders( method, localHeaders ) {
-      let defaultHeaders = DEFAULT_UNSAFE_HEADERS;
-      if( method === 'GET' ) {
-         defaultHeaders = DEFAULT_SAFE_HEADERS;
-      }
-      else if( method === 'PATCH' ) {
-         defaultHeaders = DEFAULT_PATCH_HEADERS;
-      }
-      return { ...defaultHeaders, ...globalOptions.headers, ...localHeaders };
+function encodeFormValues( values ) {
+   return Object.keys( values )
+      .filter( name => values[ name ] !== undefined && values[ name ] !== null )
+      .reduce( ( pairs, name ) => [
+         ...pairs,
+         ...[].concat( values[ name ] ).map( value =>
+            `${encodeURIComponent( name )}=${encodeURIComponent( value )}`
+         )
+      ], [] )
+      .join( '&' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function appendQueryParameters( url, values ) {
+   const query = encodeFormValues( values );
+   if( !query ) {
+      return url;
    }
+   const [ withoutFragment, fragment ] = url.split( '#' );
+   const separator = withoutFragment.indexOf( '?' ) === -1 ? '?' : '&';
+   return `${withoutFragment}${separator}${query}${fragment === undefined ? '' : `#${fragment}`}`;
+}
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   return api;
+function isJsonContentType( contentType ) {
+   return !contentType || /[/+]json\b/i.test( contentType );
+}
 
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function describeInvalidVars( { relation, href, missing, unknown } ) {
+   const problems = [
+      missing.length ? `missing: ${missing.join( ', ' )}` : null,
+      unknown.length ? `unknown: ${unknown.join( ', ' )}` : null
+   ].filter( _ => _ );
+   return `Variables for relation "${relation}" (href: "${href}") are invalid (${problems.join( '; ' )})`;
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-/**
- * Returns a copy of the given HAL representation with all HAL media type specific properties removed.
- * Currently these are `_links` and `_embedded`.
- *
- * @param {Object} halRepresentation
- *    the representation to clean up
- *
- * @return {Object}
- *    the copy without HAL media type keys
- */
-export function removeHalKeys( halRepresentation ) {
-   if( halRepresentation != null && typeof halRepresentation === 'object' ) {
-      const copy = JSON.parse( JSON.stringify( halRepresentation ) );
-      delete copy._embedded;
-      delete copy._links;
-      return copy;
+function collectEmbeddedResources( representation, adapter = adapterOf( representation ) ) {
+   const embedded = representation && typeof representation === 'object' ?
+      objectOrEmpty( adapter.embedded( representation ) ) :
+      {};
+   return Object.keys( embedded ).reduce( ( resources, relation ) => {
+      const embeddedResources = Array.isArray( embedded[ relation ] ) ?
+         embedded[ relation ] :
+         [ embedded[ relation ] ];
+      embeddedResources.forEach( resource => {
+         resources.push( resource, ...collectEmbeddedResources( resource, adapter ) );
+      } );
+      return resources;
+   }, [] );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createCachedResponse( entry ) {
+   return {
+      status: entry.status,
+      statusText: entry.statusText,
+      ok: true,
+      url: entry.url,
+      headers: createResponseHeaders( entry.headers ),
+      fromCache: true,
+      text: () => Promise.resolve( entry.body )
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function createResponseHeaders( headersObject ) {
+   const headers = headersToObject( headersObject );
+   return {
+      get: name => name.toLowerCase() in headers ? headers[ name.toLowerCase() ] : null,
+      has: name => name.toLowerCase() in headers,
+      forEach: ( callback, thisArg ) => {
+         Object.keys( headers ).forEach( name => { callback.call( thisArg, headers[ name ], name ); } );
+      }
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function headersToObject( headers ) {
+   const result = {};
+   if( !headers ) {
+      return result;
    }
-   return halRepresentation;
+   if( typeof headers.forEach === 'function' ) {
+      headers.forEach( ( value, name ) => { result[ name.toLowerCase() ] = value; } );
+   }
+   else {
+      Object.keys( headers ).forEach( name => { result[ name.toLowerCase() ] = headers[ name ]; } );
+   }
+   return result;
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-/**
- * Returns `true` if the given relation exists as link or is embedded.
- *
- * @param {Object} halRepresentation
- *    HAL representation to check for the relation
- * @param {String} relation
- *    name of the relation to find
- *
- * @return {Boolean} `true` if `relation` exists in the representation
- */
-export function canFollow( halRepresentation, relation ) {
-   return !!( ( halRepresentation._links && relation in halRepresentation._links ) ||
-      ( halRepresentation._embedded && relation in halRepresentation._embedded ) );
+// Regular expression for the components of a URI reference (https://tools.ietf.org/html/rfc3986#appendix-B)
+const URL_PATTERN = /^(([^:/?#]+):)?(\/\/([^/?#]*))?([^?#]*)(\?([^#]*))?(#(.*))?/;
+
+function parseUrl( url ) {
+   const [ , , scheme, , authority, path, , query, , fragment ] = URL_PATTERN.exec( url );
+   return { scheme, authority, path, query, fragment };
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-/**
- * Returns the first value of href for the requested relation. Search for the relation starts under
- * `_links` and continues in `_embedded`, if not found in `_links`. If not found at all, `null` is
- * returned.
- * If the relation is found and yields only a single value, that value's `href` attribute value is
- * returned. If the relation yields a list, the `href` attribute value of the first entry is returned.
- *
- * @param {Object} halRepresentation
- *    the representation to search for the relation
- * @param {String} relation
- *    the relation to get a `href` attribute value from
+/*
+ * Resolves a (possibly relative) URI reference against a base URL as described in
+ * https://tools.ietf.org/html/rfc3986#section-5.2. This does not depend on a document base URL and hence
+ * works outside of browsers as well.
  *
- * @return {String} the `href` attribute value if available, `null` otherwise
+ * @private
  */
-export function firstRelationHref( halRepresentation, relation ) {
-   if( halRepresentation._links && relation in halRepresentation._links ) {
-      const linkOrLinks = halRepresentation._links[ relation ];
-      return Array.isArray( linkOrLinks ) ? linkOrLinks[ 0 ].href : linkOrLinks.href;
+function resolveUrl( baseUrl, reference ) {
+   const ref = parseUrl( reference );
+   if( ref.scheme !== undefined || !baseUrl ) {
+      return reference;
+   }
+
+   const base = parseUrl( baseUrl );
+   const target = { scheme: base.scheme, fragment: ref.fragment };
+   if( ref.authority !== undefined ) {
+      target.authority = ref.authority;
+      target.path = removeDotSegments( ref.path );
+      target.query = ref.query;
+   }
+   else {
+      target.authority = base.authority;
+      if( ref.path === '' ) {
+         target.path = base.path;
+         target.query = ref.query !== undefined ? ref.query : base.query;
+      }
+      else {
+         target.path = removeDotSegments( ref.path[ 0 ] === '/' ? ref.path : mergePaths( base, ref.path ) );
+         target.query = ref.query;
+      }
    }
 
-   return path( halRepresentation, `_embedded.${relation}._links.self.href`, null );
+   return [
+      target.scheme !== undefined ? `${target.scheme}:` : '',
+      target.authority !== undefined ? `//${target.authority}` : '',
+      target.path,
+      target.query !== undefined ? `?${target.query}` : '',
+      target.fragment !== undefined ? `#${target.fragment}` : ''
+   ].join( '' );
+
+   function mergePaths( base, path ) {
+      if( base.authority !== undefined && base.path === '' ) {
+         return `/${path}`;
+      }
+      return `${base.path.substr( 0, base.path.lastIndexOf( '/' ) + 1 )}${path}`;
+   }
+
+   function removeDotSegments( path ) {
+      const input = path.split( '/' );
+      const output = [];
+      input.forEach( ( segment, index ) => {
+         const isLast = index === input.length - 1;
+         if( segment === '..' ) {
+            if( output.length > 1 || ( output.length === 1 && output[ 0 ] !== '' ) ) {
+               output.pop();
+            }
+            if( isLast ) {
+               output.push( '' );
+            }
+         }
+         else if( segment === '.' ) {
+            if( isLast ) {
+               output.push( '' );
+            }
+         }
+         else {
+            output.push( segment );
+         }
+      } );
+      return output.join( '/' );
+   }
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-/**
- * Returns the first value of href for the *self* relation. The same as for {@link #firstRelationHref} holds,
- * but normally a *self* relation should always be present for a RESTful webservice.
- *
- * @param {Object} halRepresentation
- *    the representation to search for the *self* relation
- *
- * @return {String} the `href` attribute value if available, `null` otherwise
- */
-export function selfLink( halRepresentation ) {
-   return firstRelationHref( halRepresentation, 'self' );
+function urlOrigin( url ) {
+   const { scheme, authority } = parseUrl( url );
+   return `${scheme || ''}://${authority || ''}`.toLowerCase();
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -66,6 +66,28 @@ describe( 'The hal http client module', () => {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   it( 'has a function to retrieve the url of a selected entry from a relation', () => {
+      const representation = {
+         _links: {
+            relation: [ { href: 'htmlUrl', type: 'text/html' }, { href: 'pdfUrl', type: 'application/pdf' } ]
+         },
+         _embedded: {
+            other: [
+               { _links: { self: { href: 'firstUrl' } } },
+               { _links: { self: { href: 'secondUrl', name: 'second' } } }
+            ]
+         }
+      };
+      expect( halHttp.firstRelationHref( representation, 'relation', { type: 'application/pdf' } ) )
+         .toEqual( 'pdfUrl' );
+      expect( halHttp.firstRelationHref( representation, 'relation', link => link.type === 'text/plain' ) )
+         .toBe( null );
+      expect( halHttp.firstRelationHref( representation, 'other', { name: 'second' } ) )
+         .toEqual( 'secondUrl' );
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
    it( 'has a function to retrieve the self link of a representation (#17)', () => {
       expect( halHttp.selfLink( { } ) ).toBe( null );
       expect( halHttp.selfLink( {
@@ -73,6 +95,94 @@ describe( 'The hal http client module', () => {
       } ) ).toEqual( '/self' );
    } );
 
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   it( 'has a function to list the variables of a templated link', () => {
+      const link = { href: '/cars/{type}{/id}{?page,size}{&tags*}{#part:3}', templated: true };
+
+      expect( halHttp.templateVariables( { href: '/cars/{type}' } ) ).toEqual( [] );
+      const variables = halHttp.templateVariables( link );
+      expect( variables.map( ({ name, type, required }) => [ name, type, required ] ) ).toEqual( [
+         [ 'type', 'simple', true ],
+         [ 'id', 'path', true ],
+         [ 'page', 'query', false ],
+         [ 'size', 'query', false ],
+         [ 'tags', 'query', false ],
+         [ 'part', 'fragment', false ]
+      ] );
+      expect( variables[ 4 ] )
+         .toEqual( jasmine.objectContaining( { operator: '&', explode: true, prefix: null } ) );
+      expect( variables[ 5 ].prefix ).toBe( 3 );
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   it( 'has a function to build the URL of a relation without following it', () => {
+      expect( halHttp.relationUrl( {}, 'carsByType' ) ).toBe( null );
+      expect( halHttp.relationUrl( specData.CARS, 'carsByType', { vars: { type: 'VW' } } ) )
+         .toEqual( `${baseUrl}/me/carsByType/VW` );
+      expect( halHttp.relationUrl( specData.CARS, 'carsByType' ) ).toEqual( `${baseUrl}/me/carsByType/` );
+      expect( () => {
+         halHttp.relationUrl( specData.CARS, 'carsByType', { vars: { model: 'T3' }, strictTemplates: true } );
+      } ).toThrow( new Error(
+         `Variables for relation "carsByType" (href: "${baseUrl}/me/carsByType/{type}") are invalid ` +
+         '(missing: type; unknown: model).'
+      ) );
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'for a representation with CURIEs', () => {
+
+      const representation = {
+         _links: {
+            curies: [ { name: 'ex', href: 'http://example.com/rels/{rel}', templated: true } ],
+            'ex:orders': { href: '/orders' },
+            'http://example.com/rels/customer': { href: '/customer' }
+         },
+         _embedded: {
+            'ex:invoice': { _links: { self: { href: '/invoices/1' } } }
+         }
+      };
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'has functions to expand and compact relations', () => {
+         expect( halHttp.expandCurie( representation, 'ex:orders' ) )
+            .toEqual( 'http://example.com/rels/orders' );
+         expect( halHttp.expandCurie( representation, 'other:orders' ) ).toEqual( 'other:orders' );
+         expect( halHttp.expandCurie( representation, 'self' ) ).toEqual( 'self' );
+         expect( halHttp.compactCurie( representation, 'http://example.com/rels/orders' ) )
+            .toEqual( 'ex:orders' );
+         expect( halHttp.compactCurie( representation, 'http://other.com/rels/orders' ) )
+            .toEqual( 'http://other.com/rels/orders' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'has a function to retrieve the documentation url of a relation', () => {
+         expect( halHttp.relationDocumentationUrl( representation, 'ex:orders' ) )
+            .toEqual( 'http://example.com/rels/orders' );
+         expect( halHttp.relationDocumentationUrl( representation, 'http://example.com/rels/orders' ) )
+            .toEqual( 'http://example.com/rels/orders' );
+         expect( halHttp.relationDocumentationUrl( representation, 'self' ) ).toBe( null );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'finds relations by their compact or expanded name', () => {
+         expect( halHttp.canFollow( representation, 'http://example.com/rels/orders' ) ).toBe( true );
+         expect( halHttp.canFollow( representation, 'ex:customer' ) ).toBe( true );
+         expect( halHttp.canFollow( representation, 'ex:unknown' ) ).toBe( false );
+         expect( halHttp.firstRelationHref( representation, 'http://example.com/rels/orders' ) )
+            .toEqual( '/orders' );
+         expect( halHttp.firstRelationHref( representation, 'ex:customer' ) ).toEqual( '/customer' );
+         expect( halHttp.firstRelationHref( representation, 'http://example.com/rels/invoice' ) )
+            .toEqual( '/invoices/1' );
+      } );
+
+   } );
+
 } );
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -476,6 +586,38 @@ describe( 'A hal client instance', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'follows the link instead of taking the embedded representation if preferred', async () => {
+         fetchMock.get( url( '/me/address' ), { status: 200, body: { city: 'Faketown' } } );
+         await hal.follow( rootHalResource, 'address', { prefer: 'link' } ).on( { '200': onSpy200 } );
+
+         expect( fetchMock.lastUrl() ).toEqual( url( '/me/address' ) );
+         expect( onSpy200 ).toHaveBeenCalledWith( { city: 'Faketown' }, jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'refreshes embedded representations using their self links if a link is preferred', async () => {
+         const representation = { _embedded: { car: data.CARS._embedded.car } };
+         await hal.followAll( representation, 'car', { prefer: 'link' } );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) )
+            .toEqual( [ url( '/me/cars/0' ), url( '/me/cars/1' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'takes embedded representations only if they are complete according to a predicate', async () => {
+         await hal.followAll( data.CARS, 'car', { prefer: car => 'model' in car } );
+
+         expect( fetchMock.called() ).toBe( false );
+
+         await hal.followAll( data.CARS, 'car', { prefer: car => 'color' in car } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       it( 'calls the most specific matching on handler', async () => {
          await hal.follow( rootHalResource, 'address' ).on( {
             '200': onSpy200,
@@ -649,6 +791,55 @@ describe( 'A hal client instance', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'passes succeeded and failed responses to a partial handler', async () => {
+         rootHalResource._links.car.push( { href: url( '/me/cars/2' ) } );
+         fetchMock.get( url( '/me/cars/2' ), { status: 404 } );
+         const onSpyPartial = jasmine.createSpy( 'onSpyPartial' );
+         await hal.followAll( rootHalResource, 'car' ).on( {
+            'partial': onSpyPartial,
+            'xxx': onSpyXxx
+         } );
+
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         const [ { succeeded, failed }, responses ] = onSpyPartial.calls.argsFor( 0 );
+         expect( responses.length ).toBe( 3 );
+         expect( succeeded.map( _ => _.index ) ).toEqual( [ 0, 1 ] );
+         expect( succeeded[ 1 ].data ).toEqual( data.CARS._embedded.car[ 1 ] );
+         expect( failed ).toEqual( [ { index: 2, status: 404, data: null, response: responses[ 2 ] } ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'keeps the other responses if a single request fails without a response', async () => {
+         rootHalResource._links.car.push( { href: url( '/me/cars/2' ) } );
+         const error = new Error( 'network down' );
+         fetchMock.get( url( '/me/cars/2' ), { throws: error } );
+         await hal.followAll( rootHalResource, 'car' ).on( { 'xxx': onSpyXxx } );
+
+         const [ values, responses ] = onSpyXxx.calls.argsFor( 0 );
+         expect( values[ 0 ] ).toEqual( data.CARS._embedded.car[ 0 ] );
+         expect( responses[ 2 ].status ).toEqual( halHttp.STATUS_ERROR );
+         expect( responses[ 2 ].info ).toEqual( { url: url( '/me/cars/2' ), error } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'calls the best matching handler for each response using onEach', async () => {
+         rootHalResource._links.car.push( { href: url( '/me/cars/2' ) } );
+         fetchMock.get( url( '/me/cars/2' ), { status: 404 } );
+         const results = await hal.followAll( rootHalResource, 'car' ).onEach( {
+            '200': onSpy200,
+            '404': onSpy404
+         } );
+
+         expect( onSpy200.calls.count() ).toBe( 2 );
+         expect( onSpy200 ).toHaveBeenCalledWith( data.CARS._embedded.car[ 1 ], jasmine.any( Object ) );
+         expect( onSpy404 ).toHaveBeenCalledWith( null, jasmine.objectContaining( { status: 404 } ) );
+         expect( results.length ).toBe( 3 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       it( 'has a utility function to create a simple follow handler', async () => {
          const addressFollower = hal.thenFollow( 'address' );
 
@@ -755,6 +946,45 @@ describe( 'A hal client instance', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'does not follow templated links with invalid variables in strict mode', async () => {
+         const onSpyInvalidVars = jasmine.createSpy( 'onSpyInvalidVars' );
+         await hal.follow( data.CARS, 'carsByTypeAndModel', {
+            strictTemplates: true,
+            vars: { model: 'T3', color: 'red' }
+         } ).on( { 'invalidvars': onSpyInvalidVars } );
+
+         expect( fetchMock.called() ).toBe( false );
+         const [ , { status, info } ] = onSpyInvalidVars.calls.argsFor( 0 );
+         expect( status ).toEqual( halHttp.STATUS_INVALID_VARS );
+         expect( info.relation ).toEqual( 'carsByTypeAndModel' );
+         expect( info.missing ).toEqual( [] );
+         expect( info.unknown ).toEqual( [ 'color' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'follows templated links with valid variables in strict mode', async () => {
+         fetchMock.get( url( '/me/carsByType/VW' ), { status: 200, body: {} } );
+         await hal.follow( data.CARS, 'carsByType', { strictTemplates: true, vars: { type: 'VW' } } );
+
+         expect( fetchMock.called( url( '/me/carsByType/VW' ) ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops following a path at templated links with invalid variables in strict mode', async () => {
+         const onSpyInvalidVars = jasmine.createSpy( 'onSpyInvalidVars' );
+         await hal.followPath( rootHalResource, 'cars > carsByType > car', { strictTemplates: true } )
+            .on( { 'invalidvars': onSpyInvalidVars } );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) ).toEqual( [ url( '/me/cars' ) ] );
+         const [ , { info } ] = onSpyInvalidVars.calls.argsFor( 0 );
+         expect( info.relation ).toEqual( 'carsByType' );
+         expect( info.missing ).toEqual( [ 'type' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       it( 'can follow a relation using the POST method with body (#20)', async () => {
          const tesla = { type: 'Tesla', model: 'Roadster' };
          await hal.follow( data.ROOT, 'cars', { method: 'POST', body: tesla } )
@@ -788,6 +1018,343 @@ describe( 'A hal client instance', () => {
          ] );
       } );
 
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can select a link by its properties', async () => {
+         const invoice = {
+            _links: {
+               alternate: [
+                  { href: url( '/invoice.html' ), type: 'text/html' },
+                  { href: url( '/invoice.pdf' ), type: 'application/pdf', name: 'pdf' }
+               ]
+            }
+         };
+         fetchMock.get( url( '/invoice.pdf' ), { status: 200, body: {} } );
+         await hal.follow( invoice, 'alternate', { select: { type: 'application/pdf' } } );
+         expect( fetchMock.lastUrl() ).toEqual( url( '/invoice.pdf' ) );
+
+         await hal.follow( invoice, 'alternate', { select: link => link.name === 'pdf' } );
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastUrl() ).toEqual( url( '/invoice.pdf' ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'follows only the selected links when following all', async () => {
+         const representation = {
+            _links: {
+               car: [
+                  { href: url( '/me/cars/0' ), title: 'VW' },
+                  { href: url( '/me/cars/1' ), title: 'DMC' }
+               ]
+            }
+         };
+         await hal.followAll( representation, 'car', { select: { title: 'DMC' } } ).on( { '200': onSpy200 } );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) ).toEqual( [ url( '/me/cars/1' ) ] );
+         expect( onSpy200 ).toHaveBeenCalledWith( [ data.CARS._embedded.car[ 1 ] ], jasmine.any( Array ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'selects embedded representations using their self link', async () => {
+         await hal.followAll( data.CARS, 'car', { select: { href: url( '/me/cars/1' ) } } )
+            .on( { '200': onSpy200 } );
+
+         expect( fetchMock.called() ).toBe( false );
+         expect( onSpy200 ).toHaveBeenCalledWith( [ data.CARS._embedded.car[ 1 ] ], jasmine.any( Array ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'handles a relation without matching links as missing', async () => {
+         const onSpyNorel = jasmine.createSpy( 'onSpyNorel' );
+         await hal.follow( data.ROOT, 'car', { select: { name: 'unknown' } } ).on( { 'norel': onSpyNorel } );
+
+         expect( fetchMock.called() ).toBe( false );
+         expect( onSpyNorel ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'reports followed links that are deprecated', async () => {
+         const onDeprecation = jasmine.createSpy( 'onDeprecation' );
+         hal = halHttp.create( { onDeprecation } );
+         const representation = {
+            _links: { pet: { href: url( '/me/pets/0' ), deprecation: 'http://host/deprecations/pet' } }
+         };
+         await hal.follow( representation, 'pet' ).on( { '200': onSpy200 } );
+
+         expect( onSpy200 ).toHaveBeenCalled();
+         expect( onDeprecation ).toHaveBeenCalledWith( {
+            relation: 'pet',
+            href: url( '/me/pets/0' ),
+            deprecation: 'http://host/deprecations/pet',
+            halRepresentation: representation
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'logs followed links that are deprecated by default', async () => {
+         const logDebug = jasmine.createSpy( 'logDebug' );
+         hal = halHttp.create( { logDebug } );
+         const representation = {
+            _links: { pet: { href: url( '/me/pets/0' ), deprecation: 'http://host/deprecations/pet' } }
+         };
+         await hal.follow( representation, 'pet' );
+
+         expect( logDebug ).toHaveBeenCalledWith( jasmine.stringMatching( /deprecations\/pet/ ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'in strict deprecation mode', () => {
+
+         let onSpyDeprecated;
+         let logError;
+         let representation;
+
+         beforeEach( () => {
+            onSpyDeprecated = jasmine.createSpy( 'onSpyDeprecated' );
+            logError = jasmine.createSpy( 'logError' );
+            hal = halHttp.create( { strictDeprecation: true, logError, logDebug: () => {} } );
+            representation = {
+               _links: {
+                  car: [
+                     { href: url( '/me/cars/0' ) },
+                     { href: url( '/me/cars/1' ), deprecation: 'http://host/deprecations/car' }
+                  ]
+               }
+            };
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'does not follow deprecated links', async () => {
+            await hal.followAll( representation, 'car' ).on( { 'deprecated': onSpyDeprecated } );
+
+            expect( fetchMock.called() ).toBe( false );
+            const [ , response ] = onSpyDeprecated.calls.argsFor( 0 );
+            expect( response.status ).toEqual( halHttp.STATUS_DEPRECATED );
+            expect( response.info.href ).toEqual( url( '/me/cars/1' ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'does not report deprecated links that are not followed', async () => {
+            const onDeprecation = jasmine.createSpy( 'onDeprecation' );
+            hal = halHttp.create( { strictDeprecation: true, onDeprecation } );
+            await hal.followAll( representation, 'car' ).on( { 'deprecated': onSpyDeprecated } );
+
+            expect( onSpyDeprecated ).toHaveBeenCalled();
+            expect( onDeprecation ).not.toHaveBeenCalled();
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'treats deprecated links without a deprecated handler as unhandled', async () => {
+            await hal.followAll( representation, 'car' ).on( { 'xxx': onSpyXxx } )
+               .then( thenResolvedSpy, thenRejectedSpy );
+
+            expect( onSpyXxx ).not.toHaveBeenCalled();
+            expect( thenRejectedSpy ).toHaveBeenCalled();
+            expect( logError ).toHaveBeenCalled();
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'still follows links that are not deprecated', async () => {
+            await hal.follow( representation, 'car' ).on( { '200': onSpy200 } );
+
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/cars/0' ) );
+            expect( onSpy200 ).toHaveBeenCalled();
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'can be disabled for single requests', async () => {
+            await hal.followAll( representation, 'car', { strictDeprecation: false } )
+               .on( { '200': onSpy200 } );
+
+            expect( fetchMock.calls().matched.length ).toBe( 2 );
+            expect( onSpy200 ).toHaveBeenCalled();
+         } );
+
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'for representations with relative links', () => {
+
+         beforeEach( () => {
+            fetchMock.get( url( '/me/garage' ), {
+               status: 200,
+               body: {
+                  _links: {
+                     self: { href: 'garage' },
+                     car: { href: 'cars/0' },
+                     pets: { href: '../me/pets' },
+                     next: { href: '?page=2' }
+                  },
+                  _embedded: {
+                     owner: { _links: { self: { href: '/me' }, cars: { href: 'cars' } } }
+                  }
+               }
+            } );
+            fetchMock.get( url( '/me/garage?page=2' ), { status: 200, body: {} } );
+            fetchMock.get( url( '/me' ), { status: 200, body: {} } );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'resolves them against the URL the representation was received from', async () => {
+            const garage = await hal.get( url( '/me/garage' ) ).on( { '200': _ => _ } );
+
+            await hal.follow( garage, 'car' );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/cars/0' ) );
+
+            await hal.follow( garage, 'pets' );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/pets' ) );
+
+            await hal.follow( garage, 'next' );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/garage?page=2' ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'resolves links of embedded representations against the URL of their document', async () => {
+            const owner = await hal.get( url( '/me/garage' ) )
+               .on( { '200': garage => hal.follow( garage, 'owner' ) } )
+               .on( { '200': _ => _ } );
+
+            await hal.follow( owner, 'cars' );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/cars' ) );
+
+            await hal.get( owner );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me' ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'resolves a relative self link when requesting a representation', async () => {
+            const garage = await hal.get( url( '/me/garage' ) ).on( { '200': _ => _ } );
+            fetchMock.restore();
+            fetchMock.get( url( '/me/garage' ), { status: 200, body: {} } );
+
+            await hal.get( garage );
+            expect( fetchMock.lastUrl() ).toEqual( url( '/me/garage' ) );
+         } );
+
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can follow a relation by its compact or expanded CURIE name', async () => {
+         const representation = {
+            _links: {
+               curies: [ { name: 'me', href: `${baseUrl}/rels/{rel}`, templated: true } ],
+               'me:cars': { href: url( '/me/cars' ) }
+            }
+         };
+         await hal.follow( representation, `${baseUrl}/rels/cars` ).on( { '200': onSpy200 } );
+         await hal.follow( representation, 'me:cars' ).on( { '200': onSpy200 } );
+
+         expect( onSpy200.calls.count() ).toBe( 2 );
+         expect( onSpy200 ).toHaveBeenCalledWith( data.CARS, jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can follow a path of relations, preferring embedded representations on each hop', async () => {
+         await hal.followPath( rootHalResource, 'cars > car' ).on( { '200': onSpy200 } );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) ).toEqual( [ url( '/me/cars' ) ] );
+         expect( onSpy200 ).toHaveBeenCalledWith( data.CARS._embedded.car[ 0 ], jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can follow a path with options for single hops', async () => {
+         fetchMock.get( url( '/me/carsByType/VW' ), { status: 200, body: { type: 'VW' } } );
+         await hal.followPath( rootHalResource, [ 'cars', { relation: 'carsByType', vars: { type: 'VW' } } ] )
+            .on( { '200': onSpy200 } );
+
+         expect( fetchMock.lastUrl() ).toEqual( url( '/me/carsByType/VW' ) );
+         expect( onSpy200 ).toHaveBeenCalledWith( { type: 'VW' }, jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can use another method for the last hop of a path', async () => {
+         await hal.followPath( rootHalResource, [ 'cars', { relation: 'car', method: 'DELETE' } ] )
+            .on( { '204': onSpy2xx } );
+
+         expect( fetchMock.lastUrl() ).toEqual( url( '/me/cars/0' ) );
+         expect( fetchMock.lastOptions().method ).toEqual( 'DELETE' );
+         expect( onSpy2xx ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can follow all links of the last hop of a path', async () => {
+         await hal.followPath( rootHalResource, 'cars > car', { followAll: true } ).on( { '200': onSpy200 } );
+
+         expect( onSpy200 ).toHaveBeenCalledWith( data.CARS._embedded.car, jasmine.any( Array ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'resolves a path with a missing relation as norel, providing the failing hop', async () => {
+         const onSpyNorel = jasmine.createSpy( 'onSpyNorel' );
+         await hal.followPath( rootHalResource, 'cars > wheels > tire' ).on( { 'norel': onSpyNorel } );
+
+         const [ , response ] = onSpyNorel.calls.argsFor( 0 );
+         expect( response.info ).toEqual( {
+            halRepresentation: data.CARS,
+            relation: 'wheels',
+            hop: 1,
+            path: [ 'cars', 'wheels', 'tire' ]
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops following a path at the first unsuccessful response', async () => {
+         fetchMock.restore();
+         fetchMock.get( url( '/me/cars' ), { status: 404 } );
+         await hal.followPath( rootHalResource, 'cars > car' ).on( { '404': onSpy404 } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         expect( onSpy404 ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops following a path at a deprecated relation in strict deprecation mode', async () => {
+         const onSpyDeprecated = jasmine.createSpy( 'onSpyDeprecated' );
+         hal = halHttp.create( { strictDeprecation: true, logDebug: () => {} } );
+         const representation = {
+            _links: { cars: { href: url( '/me/cars' ), deprecation: 'http://host/deprecations/cars' } }
+         };
+         await hal.followPath( representation, 'cars > car' ).on( { 'deprecated': onSpyDeprecated } );
+
+         expect( fetchMock.called() ).toBe( false );
+         const [ , response ] = onSpyDeprecated.calls.argsFor( 0 );
+         expect( response.info.relation ).toEqual( 'cars' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'provides a helper to follow a path within on handlers', async () => {
+         fetchMock.get( url( '/me' ), { status: 200, body: rootHalResource } );
+         await hal.get( url( '/me' ) )
+            .on( { '200': hal.thenFollowPath( [ 'cars', 'car' ] ) } )
+            .on( { '200': onSpy200 } );
+
+         expect( onSpy200 ).toHaveBeenCalledWith( data.CARS._embedded.car[ 0 ], jasmine.any( Object ) );
+      } );
+
    } );
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -842,6 +1409,2037 @@ describe( 'A hal client instance', () => {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   describe( 'configured to cache responses', () => {
+
+      const resource = { _links: { self: { href: url( '/resource' ) } }, value: 123 };
+
+      beforeEach( () => {
+         hal = halHttp.create( { cache: true } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'when the response has an ETag', () => {
+
+         beforeEach( async () => {
+            fetchMock.get( url( '/resource' ), ( _, { headers } ) => headers[ 'if-none-match' ] === '"v1"' ?
+               { status: 304, headers: { etag: '"v1"' } } :
+               { status: 200, body: resource, headers: { etag: '"v1"' } } );
+            await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'sends a conditional request the next time', async () => {
+            await hal.get( url( '/resource' ) );
+            expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toEqual( '"v1"' );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'passes the cached representation to the handlers on 304', async () => {
+            const onSpy304 = jasmine.createSpy( 'onSpy304' );
+            await hal.get( url( '/resource' ) ).on( { '200': onSpy200, '304': onSpy304 } );
+
+            expect( onSpy304 ).not.toHaveBeenCalled();
+            expect( onSpy200.calls.count() ).toBe( 2 );
+            const [ value, response ] = onSpy200.calls.argsFor( 1 );
+            expect( value ).toEqual( resource );
+            expect( response.fromCache ).toBe( true );
+            expect( response.headers.get( 'ETag' ) ).toEqual( '"v1"' );
+         } );
+
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses If-Modified-Since for responses with a Last-Modified header', async () => {
+         const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+         fetchMock.get( url( '/resource' ), {
+            status: 200,
+            body: resource,
+            headers: { 'last-modified': lastModified }
+         } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/resource' ) );
+
+         expect( fetchMock.lastOptions().headers[ 'if-modified-since' ] ).toEqual( lastModified );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not cache responses without validators', async () => {
+         fetchMock.get( url( '/resource' ), { status: 200, body: resource } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/resource' ) );
+
+         expect( fetchMock.lastOptions().headers[ 'if-modified-since' ] ).toBeUndefined();
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'is disabled by default', async () => {
+         hal = halHttp.create();
+         fetchMock.get( url( '/resource' ), { status: 200, body: resource, headers: { etag: '"v1"' } } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/resource' ) );
+
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toBeUndefined();
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured to cache responses with Cache-Control headers', () => {
+
+      const resource = { _links: { self: { href: url( '/resource' ) } }, value: 123 };
+
+      beforeEach( () => {
+         hal = halHttp.create( { cache: true } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      async function getTwice( headers, optionalSecondRequestHeaders = {} ) {
+         fetchMock.get( url( '/resource' ), { status: 200, body: resource, headers } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/resource' ), { headers: optionalSecondRequestHeaders } )
+            .on( { '200': onSpy200 } );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'serves fresh representations without making a request (max-age)', async () => {
+         await getTwice( { 'cache-control': 'max-age=60' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         const [ value, response ] = onSpy200.calls.argsFor( 1 );
+         expect( value ).toEqual( resource );
+         expect( response.fromCache ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'serves fresh representations without making a request (Expires)', async () => {
+         await getTwice( { 'expires': new Date( Date.now() + 60000 ).toUTCString() } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'revalidates representations whose freshness lifetime has passed', async () => {
+         fetchMock.get( url( '/resource' ), {
+            status: 200,
+            body: resource,
+            headers: { 'cache-control': 'max-age=60', 'etag': '"v1"' }
+         } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         const now = Date.now();
+         spyOn( Date, 'now' ).and.returnValue( now + 61000 );
+         await hal.get( url( '/resource' ) );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toEqual( '"v1"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'always revalidates representations marked with no-cache', async () => {
+         await getTwice( { 'cache-control': 'no-cache, max-age=60', 'etag': '"v1"' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toEqual( '"v1"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not store representations marked with no-store', async () => {
+         await getTwice( { 'cache-control': 'no-store, max-age=60', 'etag': '"v1"' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toBeUndefined();
+         expect( await hal.cache.has( url( '/resource' ) ) ).toBe( false );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'revalidates if the request is sent with Cache-Control: no-cache', async () => {
+         await getTwice( { 'cache-control': 'max-age=60', 'etag': '"v1"' }, { 'cache-control': 'no-cache' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toEqual( '"v1"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stores private representations', async () => {
+         await getTwice( { 'cache-control': 'private, max-age=60' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not store private representations if configured as shared cache', async () => {
+         hal = halHttp.create( { cache: { shared: true } } );
+         await getTwice( { 'cache-control': 'private, max-age=60' } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'is used when following relations', async () => {
+         fetchMock.get( url( '/me/cars' ), {
+            status: 200,
+            body: data.CARS,
+            headers: { 'cache-control': 'max-age=60' }
+         } );
+         await hal.follow( data.ROOT, 'cars' ).on( { '200': onSpy200 } );
+         await hal.follow( data.ROOT, 'cars' ).on( { '200': onSpy200 } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         expect( onSpy200.calls.argsFor( 1 )[ 0 ] ).toEqual( data.CARS );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'and a populated cache', () => {
+
+         beforeEach( async () => {
+            await getTwice( { 'cache-control': 'max-age=60' } );
+            await getTwice( { 'cache-control': 'max-age=60' }, { 'accept-language': 'de' } );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'lists the cached URLs', async () => {
+            expect( await hal.cache.urls() ).toEqual( [ url( '/resource' ) ] );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'provides the cached entries of a URL', async () => {
+            const entries = await hal.cache.entries( url( '/resource' ) );
+            expect( entries.length ).toBe( 2 );
+            expect( entries[ 0 ] ).toEqual( jasmine.objectContaining( {
+               url: url( '/resource' ),
+               status: 200,
+               body: JSON.stringify( resource ),
+               freshFor: 60
+            } ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'deletes all entries of a URL', async () => {
+            await hal.cache.delete( url( '/resource' ) );
+            expect( await hal.cache.has( url( '/resource' ) ) ).toBe( false );
+
+            await hal.get( url( '/resource' ) );
+            expect( fetchMock.calls().matched.length ).toBe( 3 );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'can be cleared', async () => {
+            await hal.cache.clear();
+            expect( await hal.cache.urls() ).toEqual( [] );
+         } );
+
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses the configured storage', async () => {
+         const items = {};
+         const webStorage = {
+            get length() { return Object.keys( items ).length; },
+            key: i => Object.keys( items )[ i ],
+            getItem: key => key in items ? items[ key ] : null,
+            setItem: ( key, value ) => { items[ key ] = `${value}`; },
+            removeItem: key => { delete items[ key ]; }
+         };
+         const storage = halHttp.createWebStorageCacheStorage( webStorage, { prefix: 'test:' } );
+         hal = halHttp.create( { cache: { storage } } );
+         await getTwice( { 'cache-control': 'max-age=60' } );
+
+         expect( Object.keys( items ).length ).toBe( 1 );
+         expect( Object.keys( items )[ 0 ] ).toMatch( /^test:/ );
+
+         // a new client, e.g. after a page reload
+         hal = halHttp.create( { cache: { storage } } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         expect( onSpy200.calls.argsFor( 2 )[ 0 ] ).toEqual( resource );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'a memory cache storage', () => {
+
+      it( 'evicts the least recently used entries', () => {
+         const storage = halHttp.createMemoryCacheStorage( { maxEntries: 2 } );
+         storage.set( 'a', 1 );
+         storage.set( 'b', 2 );
+         storage.get( 'a' );
+         storage.set( 'c', 3 );
+
+         expect( storage.keys() ).toEqual( [ 'a', 'c' ] );
+         expect( storage.get( 'b' ) ).toBeUndefined();
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured to send If-Match headers', () => {
+
+      const original = { _links: { self: { href: url( '/resource' ) } }, value: 123 };
+      const current = { _links: { self: { href: url( '/resource' ) } }, value: 456 };
+      let onSpyConflict;
+
+      beforeEach( async () => {
+         onSpyConflict = jasmine.createSpy( 'onSpyConflict' );
+         hal = halHttp.create( { ifMatch: true } );
+         fetchMock.get( url( '/resource' ), { status: 200, body: original, headers: { etag: '"v1"' } } );
+         await hal.get( url( '/resource' ) );
+         fetchMock.restore();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      [ 'PUT', 'PATCH', 'DELETE' ].forEach( method => {
+
+         it( `sends the last received ETag along with ${method} requests`, async () => {
+            fetchMock.mock( url( '/resource' ), { status: 204 }, { method } );
+            await hal[ method.toLowerCase() ]( original, {} );
+
+            expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toEqual( '"v1"' );
+         } );
+
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends no If-Match header along with POST requests', async () => {
+         fetchMock.post( url( '/resource' ), { status: 201 } );
+         await hal.post( original, {} );
+
+         expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be disabled for single requests', async () => {
+         fetchMock.put( url( '/resource' ), { status: 204 } );
+         await hal.put( original, {}, { ifMatch: false } );
+
+         expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be enabled for single requests', async () => {
+         hal = halHttp.create();
+         fetchMock.get( url( '/resource' ), { status: 200, body: original, headers: { etag: '"v1"' } } );
+         fetchMock.put( url( '/resource' ), { status: 204 } );
+         await hal.get( url( '/resource' ) );
+         await hal.put( original, {} );
+         expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toBeUndefined();
+
+         await hal.put( original, {}, { ifMatch: true } );
+         expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toEqual( '"v1"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses the ETag of a successful update for the next request', async () => {
+         fetchMock.put( url( '/resource' ), { status: 204, headers: { etag: '"v2"' } } );
+         await hal.put( original, {} );
+         await hal.put( original, {} );
+
+         expect( fetchMock.lastOptions().headers[ 'if-match' ] ).toEqual( '"v2"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'when the server answers with 412', () => {
+
+         beforeEach( () => {
+            fetchMock.put( url( '/resource' ), { status: 412 } );
+            fetchMock.get( url( '/resource' ), { status: 200, body: current, headers: { etag: '"v2"' } } );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'passes the current representation to the conflict handler', async () => {
+            await hal.put( original, { value: 789 } ).on( {
+               '2xx': onSpy2xx,
+               '412': onSpy404,
+               'conflict': onSpyConflict
+            } );
+
+            expect( onSpy2xx ).not.toHaveBeenCalled();
+            expect( onSpy404 ).not.toHaveBeenCalled();
+            expect( onSpyConflict ).toHaveBeenCalledWith( current, jasmine.objectContaining( {
+               status: halHttp.STATUS_CONFLICT,
+               info: jasmine.objectContaining( {
+                  url: url( '/resource' ),
+                  method: 'PUT',
+                  body: { value: 789 }
+               } )
+            } ) );
+            const [ , { info } ] = onSpyConflict.calls.argsFor( 0 );
+            expect( info.response.status ).toBe( 412 );
+            expect( info.currentResponse.status ).toBe( 200 );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'falls back to the handlers for 412', async () => {
+            await hal.put( original, { value: 789 } ).on( { '4xx': onSpyXxx } );
+
+            expect( onSpyXxx ).toHaveBeenCalledWith( current, jasmine.any( Object ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'uses the ETag of the current representation when retrying', async () => {
+            await hal.put( original, { value: 789 } ).on( { 'conflict': onSpyConflict } );
+            await hal.put( original, { value: 789 } ).on( { 'conflict': onSpyConflict } );
+
+            const puts = fetchMock.calls().matched.filter( ([ , options ]) => options.method === 'PUT' );
+            expect( puts[ 0 ][ 1 ].headers[ 'if-match' ] ).toEqual( '"v1"' );
+            expect( puts[ 1 ][ 1 ].headers[ 'if-match' ] ).toEqual( '"v2"' );
+         } );
+
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured to seed the cache from embedded resources', () => {
+
+      beforeEach( () => {
+         hal = halHttp.create( { cache: { seedEmbedded: true } } );
+         fetchMock.get( url( '/me/cars/0' ), { status: 200, body: {} } );
+         fetchMock.get( url( '/me/cars/1' ), { status: 200, body: {} } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'resolves later requests for embedded resources from the cache', async () => {
+         fetchMock.get( url( '/me/cars' ), {
+            status: 200,
+            body: data.CARS,
+            headers: { 'cache-control': 'max-age=60' }
+         } );
+         await hal.get( url( '/me/cars' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/me/cars/1' ) ).on( { '200': onSpy200 } );
+         await hal.follow( data.ROOT, 'car' ).on( { '200': onSpy200 } );
+
+         expect( fetchMock.called( url( '/me/cars/0' ) ) ).toBe( false );
+         expect( fetchMock.called( url( '/me/cars/1' ) ) ).toBe( false );
+         expect( onSpy200.calls.argsFor( 1 )[ 0 ] ).toEqual( data.CARS._embedded.car[ 1 ] );
+         expect( onSpy200.calls.argsFor( 2 )[ 0 ] ).toEqual( data.CARS._embedded.car[ 0 ] );
+
+         const [ entry ] = await hal.cache.entries( url( '/me/cars/1' ) );
+         expect( entry.embedded ).toBe( true );
+         expect( entry.freshFor ).toBe( 60 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'seeds resources embedded at any depth, resolving relative self links', async () => {
+         fetchMock.get( url( '/me' ), {
+            status: 200,
+            body: {
+               _embedded: {
+                  cars: {
+                     _links: { self: { href: 'me/cars' } },
+                     _embedded: { car: [ { _links: { self: { href: '/me/cars/0' } }, type: 'VW' } ] }
+                  }
+               }
+            },
+            headers: { 'cache-control': 'max-age=60' }
+         } );
+         await hal.get( url( '/me' ) ).on( { '200': onSpy200 } );
+
+         expect( await hal.cache.urls() ).toEqual( [ url( '/me' ), url( '/me/cars' ), url( '/me/cars/0' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not seed the cache if the enclosing representation has no freshness lifetime', async () => {
+         fetchMock.get( url( '/me/cars' ), { status: 200, body: data.CARS, headers: { etag: '"v1"' } } );
+         await hal.get( url( '/me/cars' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/me/cars/1' ) );
+
+         expect( fetchMock.called( url( '/me/cars/1' ) ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses a configured freshness lifetime for embedded resources', async () => {
+         hal = halHttp.create( { cache: { seedEmbedded: 30 } } );
+         fetchMock.get( url( '/me/cars' ), { status: 200, body: data.CARS } );
+         await hal.get( url( '/me/cars' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/me/cars/1' ) );
+
+         expect( fetchMock.called( url( '/me/cars/1' ) ) ).toBe( false );
+         expect( await hal.cache.urls() ).toEqual( [ url( '/me/cars/0' ), url( '/me/cars/1' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not seed the cache from representations marked with no-store', async () => {
+         hal = halHttp.create( { cache: { seedEmbedded: 30 } } );
+         fetchMock.get( url( '/me/cars' ), {
+            status: 200,
+            body: data.CARS,
+            headers: { 'cache-control': 'no-store' }
+         } );
+         await hal.get( url( '/me/cars' ) ).on( { '200': onSpy200 } );
+
+         expect( await hal.cache.urls() ).toEqual( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'in stale-while-revalidate mode', () => {
+
+      const original = { _links: { self: { href: url( '/resource' ) } }, value: 123 };
+      const updated = { _links: { self: { href: url( '/resource' ) } }, value: 456 };
+      let currentVersion;
+
+      beforeEach( async () => {
+         hal = halHttp.create( { cache: true } );
+         currentVersion = '"v1"';
+         fetchMock.get( url( '/resource' ), ( _, { headers } ) => {
+            if( headers[ 'if-none-match' ] === currentVersion ) {
+               return { status: 304, headers: { etag: currentVersion } };
+            }
+            return {
+               status: 200,
+               body: currentVersion === '"v1"' ? original : updated,
+               headers: { etag: currentVersion }
+            };
+         } );
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+         onSpy200.calls.reset();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'immediately passes the last known representation to the handlers', async () => {
+         currentVersion = '"v2"';
+         await hal.get( url( '/resource' ), { staleWhileRevalidate: true } ).on( { '200': onSpy200 } );
+
+         const [ value, response ] = onSpy200.calls.argsFor( 0 );
+         expect( value ).toEqual( original );
+         expect( response.stale ).toBe( true );
+         expect( response.fromCache ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'notifies update handlers about a changed representation', async () => {
+         currentVersion = '"v2"';
+         const update = await new Promise( resolve => {
+            hal.get( url( '/resource' ), { staleWhileRevalidate: true } )
+               .onUpdate( ( data, response ) => { resolve( { data, response } ); } )
+               .on( { '200': onSpy200 } );
+         } );
+
+         expect( onSpy200 ).toHaveBeenCalledWith( original, jasmine.any( Object ) );
+         expect( update.data ).toEqual( updated );
+         expect( update.response.status ).toBe( 200 );
+         expect( update.response.headers.get( 'etag' ) ).toEqual( '"v2"' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'caches the revalidated representation', async () => {
+         currentVersion = '"v2"';
+         await new Promise( resolve => {
+            hal.get( url( '/resource' ), { staleWhileRevalidate: true } ).onUpdate( resolve );
+         } );
+         await hal.get( url( '/resource' ), { staleWhileRevalidate: true } ).on( { '200': onSpy200 } );
+
+         expect( onSpy200 ).toHaveBeenCalledWith( updated, jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not notify update handlers if the representation did not change', async () => {
+         const onUpdateSpy = jasmine.createSpy( 'onUpdateSpy' );
+         await hal.get( url( '/resource' ), { staleWhileRevalidate: true } )
+            .onUpdate( onUpdateSpy )
+            .on( { '200': onSpy200 } );
+         await new Promise( resolve => { setTimeout( resolve, 10 ); } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( fetchMock.lastOptions().headers[ 'if-none-match' ] ).toEqual( '"v1"' );
+         expect( onUpdateSpy ).not.toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be enabled globally', async () => {
+         hal = halHttp.create( { cache: true, staleWhileRevalidate: true } );
+         fetchMock.get( url( '/other' ), { status: 200, body: original } );
+         await hal.get( url( '/other' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/other' ) ).on( { '200': onSpy200 } );
+
+         const [ value, response ] = onSpy200.calls.argsFor( 1 );
+         expect( value ).toEqual( original );
+         expect( response.stale ).toBe( true );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'after a successful unsafe request', () => {
+
+      const cacheable = body => ({ status: 200, body, headers: { 'cache-control': 'max-age=60' } });
+
+      beforeEach( async () => {
+         hal = halHttp.create( {
+            cache: true,
+            dependentUrls: ({ method, url }) => method === 'DELETE' ? [ url.replace( /\/[^/]*$/, '' ) ] : []
+         } );
+         fetchMock.get( url( '/me/cars' ), cacheable( data.CARS ) );
+         fetchMock.get( url( '/me/cars/0' ), cacheable( data.CARS._embedded.car[ 0 ] ) );
+         fetchMock.get( url( '/me/cars/2' ), cacheable( {} ) );
+         fetchMock.get( url( '/me' ), cacheable( data.ROOT ) );
+         await Promise.all( [ '/me/cars', '/me/cars/0', '/me/cars/2', '/me' ]
+            .map( path => hal.get( url( path ) ).on( { '200': onSpy200 } ) ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'invalidates the cached representation of the target URL', async () => {
+         fetchMock.put( url( '/me/cars/0' ), { status: 204 } );
+         await hal.put( url( '/me/cars/0' ), {} );
+
+         expect( await hal.cache.has( url( '/me/cars/0' ) ) ).toBe( false );
+         expect( await hal.cache.has( url( '/me/cars' ) ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'invalidates the URLs from the Location and Content-Location headers', async () => {
+         fetchMock.post( url( '/me/cars' ), {
+            status: 201,
+            headers: { 'location': '/me/cars/2', 'content-location': url( '/me' ) }
+         } );
+         await hal.post( url( '/me/cars' ), {} );
+
+         expect( await hal.cache.urls() ).toEqual( [ url( '/me/cars/0' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'ignores Location headers pointing to a different origin', async () => {
+         fetchMock.put( url( '/me/cars/0' ), {
+            status: 200,
+            headers: { 'location': 'http://evil/me/cars' }
+         } );
+         await hal.put( url( '/me/cars/0' ), {} );
+
+         expect( await hal.cache.has( url( '/me/cars' ) ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'invalidates the URLs declared by the dependentUrls option of the request', async () => {
+         fetchMock.put( url( '/me/cars/0' ), { status: 204 } );
+         await hal.put( url( '/me/cars/0' ), {}, { dependentUrls: [ url( '/me/cars' ), '../../me' ] } );
+
+         expect( await hal.cache.urls() ).toEqual( [ url( '/me/cars/2' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'invalidates the URLs declared by the global dependentUrls option', async () => {
+         fetchMock.delete( url( '/me/cars/0' ), { status: 204 } );
+         await hal.del( url( '/me/cars/0' ) );
+
+         expect( await hal.cache.urls() ).toEqual( [ url( '/me/cars/2' ), url( '/me' ) ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not invalidate anything if the request failed', async () => {
+         fetchMock.put( url( '/me/cars/0' ), { status: 400 } );
+         await hal.put( url( '/me/cars/0' ), {} ).on( { '400': onSpy404 } );
+
+         expect( await hal.cache.has( url( '/me/cars/0' ) ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not reuse pending GET requests for the invalidated URLs', async () => {
+         let respond;
+         fetchMock.restore();
+         fetchMock.get( url( '/resource' ), new Promise( resolve => { respond = resolve; } ) );
+         fetchMock.put( url( '/resource' ), { status: 204 } );
+
+         const pendingGet = hal.get( url( '/resource' ) );
+         await hal.put( url( '/resource' ), {} );
+
+         expect( hal.get( url( '/resource' ) ) ).not.toBe( pendingGet );
+         respond( { status: 200, body: {} } );
+         await pendingGet;
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured to retry requests', () => {
+
+      let responses;
+
+      beforeEach( () => {
+         hal = halHttp.create( { retry: { delay: 1, jitter: false } } );
+         responses = [];
+         const respond = () => responses.length > 1 ? responses.shift() : responses[ 0 ];
+         fetchMock.get( url( '/resource' ), respond );
+         fetchMock.post( url( '/resource' ), respond );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'retries configured status codes and passes only the final response to the handlers', async () => {
+         responses = [ { status: 503 }, { status: 502 }, { status: 200, body: { value: 123 } } ];
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200, '5xx': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 3 );
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         const [ value, response ] = onSpy200.calls.argsFor( 0 );
+         expect( value ).toEqual( { value: 123 } );
+         expect( response.attempts ).toEqual( [ { status: 503, delay: 1 }, { status: 502, delay: 2 } ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'retries requests failing due to network errors', async () => {
+         const error = new Error( 'network down' );
+         responses = [ { throws: error }, { status: 200, body: { value: 123 } } ];
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+
+         const [ , response ] = onSpy200.calls.argsFor( 0 );
+         expect( response.attempts ).toEqual( [ { error, delay: 1 } ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not retry requests that were aborted', async () => {
+         const onSpyTimeout = jasmine.createSpy( 'onSpyTimeout' );
+         fetchMock.get( url( '/slow' ), ( _, { signal } ) => new Promise( ( resolve, reject ) => {
+            signal.addEventListener( 'abort', () => { reject( new Error( 'aborted' ) ); } );
+         } ) );
+         await hal.get( url( '/slow' ), { timeout: 5 } ).on( { 'timeout': onSpyTimeout } );
+         await new Promise( resolve => { setTimeout( resolve, 20 ); } );
+
+         expect( onSpyTimeout ).toHaveBeenCalled();
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'gives up after the configured number of retries', async () => {
+         responses = [ { status: 503 } ];
+         await hal.get( url( '/resource' ) ).on( { '503': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 3 );
+         const [ , response ] = onSpyXxx.calls.argsFor( 0 );
+         expect( response.attempts.length ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not retry other status codes', async () => {
+         responses = [ { status: 500 }, { status: 200 } ];
+         await hal.get( url( '/resource' ) ).on( { '500': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         expect( onSpyXxx ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not retry POST requests by default', async () => {
+         responses = [ { status: 503 }, { status: 201 } ];
+         await hal.post( url( '/resource' ), {} ).on( { '503': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'retries POST requests if configured for the request', async () => {
+         responses = [ { status: 503 }, { status: 201 } ];
+         await hal.post( url( '/resource' ), {}, { retry: { methods: [ 'POST' ] } } )
+            .on( { '201': onSpy2xx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+         expect( onSpy2xx ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be disabled for a request', async () => {
+         responses = [ { status: 503 }, { status: 200 } ];
+         await hal.get( url( '/resource' ), { retry: false } ).on( { '503': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'honors the Retry-After header', async () => {
+         responses = [ { status: 429, headers: { 'retry-after': '0' } }, { status: 200 } ];
+         await hal.get( url( '/resource' ) ).on( { '200': onSpy200 } );
+
+         const [ , response ] = onSpy200.calls.argsFor( 0 );
+         expect( response.attempts ).toEqual( [ { status: 429, delay: 0 } ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not retry if the Retry-After header exceeds the maximum delay', async () => {
+         responses = [ { status: 503, headers: { 'retry-after': '3600' } }, { status: 200 } ];
+         await hal.get( url( '/resource' ) ).on( { '503': onSpyXxx } );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when requests are aborted', () => {
+
+      let onSpyAborted;
+      let onSpyTimeout;
+      let logErrorSpy;
+
+      beforeEach( () => {
+         onSpyAborted = jasmine.createSpy( 'onSpyAborted' );
+         onSpyTimeout = jasmine.createSpy( 'onSpyTimeout' );
+         logErrorSpy = jasmine.createSpy( 'logErrorSpy' );
+         hal = halHttp.create( { logError: logErrorSpy, logDebug: () => {} } );
+
+         const delayed = response => () => new Promise( resolve => {
+            setTimeout( () => resolve( response ), 20 );
+         } );
+         fetchMock.get( url( '/slow' ), delayed( { status: 200, body: data.ROOT } ) );
+         fetchMock.get( url( '/me/pets/0' ), delayed( { status: 200, body: { name: 'Rex' } } ) );
+         fetchMock.put( url( '/slow' ), delayed( { status: 204 } ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'calls the aborted handler instead of the handler for the actual response', async () => {
+         const promise = hal.get( url( '/slow' ) );
+         promise.abort();
+         await promise.on( { '200': onSpy200, 'aborted': onSpyAborted } );
+
+         expect( onSpy200 ).not.toHaveBeenCalled();
+         expect( onSpyAborted ).toHaveBeenCalled();
+         const [ , response ] = onSpyAborted.calls.argsFor( 0 );
+         expect( response.status ).toEqual( halHttp.STATUS_ABORTED );
+         expect( response.info ).toEqual( { url: url( '/slow' ) } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'silently ends the chain if there is no aborted handler', async () => {
+         const promise = hal.put( url( '/slow' ), {} );
+         promise.abort();
+         const result = await promise.on( { 'xxx': onSpyXxx } );
+
+         expect( result ).toBe( null );
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         expect( logErrorSpy ).not.toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'has no effect after the response was received', async () => {
+         const promise = hal.get( url( '/slow' ) );
+         await promise;
+         promise.abort();
+         await promise.on( { '200': onSpy200, 'aborted': onSpyAborted } );
+
+         expect( onSpy200 ).toHaveBeenCalled();
+         expect( onSpyAborted ).not.toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'calls the timeout handler if the request does not complete in time', async () => {
+         await hal.get( url( '/slow' ), { timeout: 5 } )
+            .on( { '200': onSpy200, 'timeout': onSpyTimeout } );
+
+         expect( onSpy200 ).not.toHaveBeenCalled();
+         const [ , response ] = onSpyTimeout.calls.argsFor( 0 );
+         expect( response.status ).toEqual( halHttp.STATUS_TIMEOUT );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'treats timed out requests without a timeout handler as unhandled', async () => {
+         await hal.get( url( '/slow' ), { timeout: 5 } )
+            .on( { 'xxx': onSpyXxx } )
+            .then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy ).toHaveBeenCalled();
+         expect( logErrorSpy ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be aborted using an external signal', async () => {
+         const controller = new AbortController();
+         const promise = hal.get( url( '/slow' ), { signal: controller.signal } )
+            .on( { '200': onSpy200, 'aborted': onSpyAborted } );
+         controller.abort();
+         await promise;
+
+         expect( onSpy200 ).not.toHaveBeenCalled();
+         expect( onSpyAborted ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'removes its listener from an external signal once the request is done', async () => {
+         const controller = new AbortController();
+         spyOn( controller.signal, 'addEventListener' ).and.callThrough();
+         spyOn( controller.signal, 'removeEventListener' ).and.callThrough();
+         await hal.get( url( '/slow' ), { signal: controller.signal } );
+
+         const [ type, listener ] = controller.signal.addEventListener.calls.argsFor( 0 );
+         expect( controller.signal.removeEventListener ).toHaveBeenCalledWith( type, listener );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not abort other callers of the same URL', async () => {
+         const controller = new AbortController();
+         const aborted = hal.get( url( '/slow' ), { signal: controller.signal } )
+            .on( { 'aborted': onSpyAborted } );
+         const timedOut = hal.get( url( '/slow' ), { timeout: 5 } ).on( { 'timeout': onSpyTimeout } );
+         const completed = hal.get( url( '/slow' ) ).on( { '200': onSpy200 } );
+         controller.abort();
+         await Promise.all( [ aborted, timedOut, completed ] );
+
+         expect( onSpyAborted ).toHaveBeenCalled();
+         expect( onSpyTimeout ).toHaveBeenCalled();
+         expect( onSpy200 ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'shares the request of parallel follow calls, each of which can be aborted', async () => {
+         const aborted = hal.follow( data.ROOT, 'pet' ).on( { 'aborted': onSpyAborted } );
+         const completed = hal.follow( data.ROOT, 'pet' ).on( { '200': onSpy200 } );
+         aborted.abort();
+         await Promise.all( [ aborted, completed ] );
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         expect( fetchMock.lastOptions().signal.aborted ).toBe( false );
+         expect( onSpyAborted ).toHaveBeenCalled();
+         expect( onSpy200 ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'passes an abort signal to fetch', async () => {
+         await hal.get( url( '/slow' ) );
+
+         expect( fetchMock.lastOptions().signal ).toEqual( jasmine.any( AbortSignal ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'propagates the abort into requests made by handlers', async () => {
+         let followed;
+         const following = new Promise( resolve => { followed = resolve; } );
+         const promise = hal.get( url( '/slow' ) )
+            .on( {
+               '200': root => {
+                  setTimeout( followed );
+                  return hal.follow( root, 'pet' );
+               }
+            } )
+            .on( { '200': onSpy200, 'aborted': onSpyAborted } );
+         await following;
+         promise.abort();
+         await promise;
+
+         expect( onSpy200 ).not.toHaveBeenCalled();
+         expect( onSpyAborted ).toHaveBeenCalled();
+         expect( fetchMock.lastOptions( url( '/me/pets/0' ) ).signal.aborted ).toBe( true );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured with an offline queue', () => {
+
+      let responses;
+      let onSpyQueued;
+      let queueOptions;
+
+      beforeEach( () => {
+         onSpyQueued = jasmine.createSpy( 'onSpyQueued' );
+         queueOptions = {
+            onReplay: jasmine.createSpy( 'onReplay' ),
+            onConflict: jasmine.createSpy( 'onConflict' ).and.returnValue( null ),
+            onDiscard: jasmine.createSpy( 'onDiscard' )
+         };
+         hal = halHttp.create( { offlineQueue: queueOptions } );
+         responses = [];
+         const respond = () => responses.length > 1 ? responses.shift() : responses[ 0 ];
+         fetchMock.put( url( '/resource' ), respond );
+         fetchMock.post( url( '/resources' ), respond );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'queues unsafe requests failing due to a network error', async () => {
+         responses = [ { throws: new Error( 'network down' ) } ];
+         await hal.put( url( '/resource' ), { value: 1 } ).on( { 'queued': onSpyQueued } );
+
+         const [ , response ] = onSpyQueued.calls.argsFor( 0 );
+         expect( response.status ).toEqual( halHttp.STATUS_QUEUED );
+         expect( response.info ).toEqual( jasmine.objectContaining( {
+            method: 'PUT',
+            url: url( '/resource' ),
+            body: { value: 1 }
+         } ) );
+         expect( await hal.offlineQueue.entries() ).toEqual( [ response.info ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'queues further unsafe requests right away to keep their order', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 201 } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.post( url( '/resources' ), { value: 2 } ).on( { 'queued': onSpyQueued } );
+
+         expect( onSpyQueued ).toHaveBeenCalled();
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+         const entries = await hal.offlineQueue.entries();
+         expect( entries.map( _ => _.method ) ).toEqual( [ 'PUT', 'POST' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not queue requests with the offline option set to false', async () => {
+         responses = [ { throws: new Error( 'network down' ) } ];
+         await hal.put( url( '/resource' ), {}, { offline: false } ).then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( thenRejectedSpy ).toHaveBeenCalled();
+         expect( await hal.offlineQueue.entries() ).toEqual( [] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'replays the queued requests in order', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 204 }, { status: 201 } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.post( url( '/resources' ), { value: 2 } );
+         const remaining = await hal.offlineQueue.replay();
+
+         expect( remaining ).toEqual( [] );
+         const calls = fetchMock.calls().matched;
+         expect( calls.slice( 1 ).map( ([ , init ]) => [ init.method, init.body ] ) ).toEqual( [
+            [ 'PUT', '{"value":1}' ],
+            [ 'POST', '{"value":2}' ]
+         ] );
+         expect( queueOptions.onReplay.calls.count() ).toBe( 2 );
+         expect( queueOptions.onReplay.calls.argsFor( 1 )[ 1 ].status ).toBe( 201 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops replaying at network errors and server errors', async () => {
+         responses = [ { throws: new Error( 'network down' ) } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         expect( ( await hal.offlineQueue.replay() ).length ).toBe( 1 );
+
+         responses = [ { status: 503 } ];
+         expect( ( await hal.offlineQueue.replay() ).length ).toBe( 1 );
+         expect( queueOptions.onDiscard ).not.toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'discards requests that are answered with other client errors', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 400 } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.offlineQueue.replay();
+
+         expect( await hal.offlineQueue.entries() ).toEqual( [] );
+         const [ entry, response ] = queueOptions.onDiscard.calls.argsFor( 0 );
+         expect( entry.body ).toEqual( { value: 1 } );
+         expect( response.status ).toBe( 400 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'lets the conflict hook provide a new body to replay the request with', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 409 }, { status: 204 } ];
+         queueOptions.onConflict.and.returnValue( Promise.resolve( { body: { value: 2 } } ) );
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.offlineQueue.replay();
+
+         expect( queueOptions.onConflict.calls.argsFor( 0 )[ 1 ].status ).toBe( 409 );
+         expect( fetchMock.lastOptions().body ).toEqual( '{"value":2}' );
+         expect( queueOptions.onReplay ).toHaveBeenCalled();
+         expect( await hal.offlineQueue.entries() ).toEqual( [] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops the replay if a request still conflicts after its conflict was resolved', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 409 } ];
+         queueOptions.onConflict.and.returnValue( { body: { value: 2 } } );
+         await hal.put( url( '/resource' ), { value: 1 } );
+         const entries = await hal.offlineQueue.replay();
+
+         expect( queueOptions.onConflict.calls.count() ).toBe( 1 );
+         expect( fetchMock.calls().matched.length ).toBe( 3 );
+         expect( entries.map( _ => _.body ) ).toEqual( [ { value: 2 } ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'discards conflicting requests if the conflict hook does not resolve them', async () => {
+         responses = [ { throws: new Error( 'network down' ) }, { status: 412 } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.offlineQueue.replay();
+
+         expect( queueOptions.onDiscard ).toHaveBeenCalled();
+         expect( await hal.offlineQueue.entries() ).toEqual( [] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'allows to discard single requests', async () => {
+         responses = [ { throws: new Error( 'network down' ) } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+         await hal.post( url( '/resources' ), { value: 2 } );
+         const [ first ] = await hal.offlineQueue.entries();
+         await hal.offlineQueue.discard( first.id );
+
+         const entries = await hal.offlineQueue.entries();
+         expect( entries.map( _ => _.method ) ).toEqual( [ 'POST' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'persists the queue using the configured storage', async () => {
+         const items = {};
+         const webStorage = {
+            get length() { return Object.keys( items ).length; },
+            key: i => Object.keys( items )[ i ],
+            getItem: key => key in items ? items[ key ] : null,
+            setItem: ( key, value ) => { items[ key ] = `${value}`; },
+            removeItem: key => { delete items[ key ]; }
+         };
+         const storage = halHttp.createWebStorageCacheStorage( webStorage, { prefix: 'queue:' } );
+         hal = halHttp.create( { offlineQueue: { storage } } );
+         responses = [ { throws: new Error( 'network down' ) }, { status: 204 } ];
+         await hal.put( url( '/resource' ), { value: 1 } );
+
+         // a new client, e.g. after a page reload
+         hal = halHttp.create( { offlineQueue: { storage } } );
+         expect( ( await hal.offlineQueue.entries() ).length ).toBe( 1 );
+         await hal.offlineQueue.replay();
+         expect( fetchMock.lastOptions().body ).toEqual( '{"value":1}' );
+         expect( Object.keys( items ) ).toEqual( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured to limit concurrent requests', () => {
+
+      let running;
+      let maxRunning;
+
+      beforeEach( () => {
+         running = 0;
+         maxRunning = 0;
+         const slowly = body => () => {
+            maxRunning = Math.max( maxRunning, ++running );
+            return new Promise( resolve => {
+               setTimeout( () => {
+                  --running;
+                  resolve( { status: 200, body } );
+               }, 5 );
+            } );
+         };
+         fetchMock.get( url( '/me' ), slowly( data.ROOT ) );
+         fetchMock.get( url( '/me/cars/0' ), slowly( {} ) );
+         fetchMock.get( url( '/me/cars/1' ), slowly( {} ) );
+         fetchMock.get( url( '/me/pets/0' ), slowly( {} ) );
+         fetchMock.get( 'http://other-host/resource', slowly( {} ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'limits the number of concurrent requests to the same origin', async () => {
+         hal = halHttp.create( { concurrency: { perOrigin: 2 } } );
+         await Promise.all( [
+            hal.get( url( '/me' ) ),
+            hal.get( url( '/me/cars/0' ) ),
+            hal.get( url( '/me/cars/1' ) ),
+            hal.get( url( '/me/pets/0' ) )
+         ] );
+
+         expect( fetchMock.calls().matched.length ).toBe( 4 );
+         expect( maxRunning ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'limits the number of concurrent requests in total', async () => {
+         hal = halHttp.create( { concurrency: { max: 1 } } );
+         await Promise.all( [
+            hal.get( url( '/me' ) ),
+            hal.get( 'http://other-host/resource' )
+         ] );
+
+         expect( maxRunning ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not limit requests by default', async () => {
+         await Promise.all( [
+            hal.get( url( '/me' ) ),
+            hal.get( url( '/me/cars/0' ) ),
+            hal.get( url( '/me/cars/1' ) )
+         ] );
+
+         expect( maxRunning ).toBe( 3 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'lets requests with a higher priority overtake waiting requests', async () => {
+         hal = halHttp.create( { concurrency: { max: 1 } } );
+         await Promise.all( [
+            hal.get( url( '/me' ) ),
+            hal.followAll( data.ROOT, 'car' ),
+            hal.get( url( '/me/pets/0' ) )
+         ] );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) ).toEqual( [
+            url( '/me' ),
+            url( '/me/pets/0' ),
+            url( '/me/cars/0' ),
+            url( '/me/cars/1' )
+         ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'respects the priority option', async () => {
+         hal = halHttp.create( { concurrency: { max: 1 } } );
+         await Promise.all( [
+            hal.get( url( '/me' ) ),
+            hal.get( url( '/me/cars/0' ), { priority: -5 } ),
+            hal.followAll( data.ROOT, 'pet', { priority: 5 } )
+         ] );
+
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) ).toEqual( [
+            url( '/me' ),
+            url( '/me/pets/0' ),
+            url( '/me/cars/0' )
+         ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when paginating a collection', () => {
+
+      const page = ( number, names, relations ) => ( {
+         _links: {
+            self: { href: url( `/me/cars?page=${number}` ) },
+            ...relations
+         },
+         _embedded: { car: names.map( name => ( { name } ) ) }
+      } );
+
+      beforeEach( () => {
+         fetchMock.get( url( '/me/cars?page=1' ), {
+            status: 200,
+            body: page( 1, [ 'a', 'b' ], { next: { href: url( '/me/cars?page=2' ) } } )
+         } );
+         fetchMock.get( url( '/me/cars?page=2' ), {
+            status: 200,
+            body: page( 2, [ 'c' ], {
+               next: { href: url( '/me/cars?page=3' ) },
+               prev: { href: url( '/me/cars?page=1' ) }
+            } )
+         } );
+         fetchMock.get( url( '/me/cars?page=3' ), {
+            status: 200,
+            body: page( 3, [ 'd' ], { prev: { href: url( '/me/cars?page=2' ) } } )
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'returns an async iterable', () => {
+         const iterator = hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car' } );
+
+         expect( iterator[ Symbol.asyncIterator ]() ).toBe( iterator );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'yields the embedded items of all pages', async () => {
+         const items = await collect( hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car' } ) );
+
+         expect( items.map( _ => _.name ) ).toEqual( [ 'a', 'b', 'c', 'd' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'fetches the next page only when the items of the current page are consumed', async () => {
+         const iterator = hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car' } );
+         await iterator.next();
+         await iterator.next();
+
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+
+         await iterator.next();
+
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'stops after the maximum number of pages', async () => {
+         const iterator = hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car', maxPages: 2 } );
+         const items = await collect( iterator );
+
+         expect( items.map( _ => _.name ) ).toEqual( [ 'a', 'b', 'c' ] );
+         expect( fetchMock.calls().matched.length ).toBe( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can be stopped early', async () => {
+         const iterator = hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car' } );
+         await iterator.next();
+         await iterator.return();
+
+         expect( await iterator.next() ).toEqual( { value: undefined, done: true } );
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'can walk backwards from a given page', async () => {
+         const lastPage = page( 3, [ 'd', 'e' ], { prev: { href: url( '/me/cars?page=2' ) } } );
+         const items = await collect( hal.paginate( lastPage, { itemsRelation: 'car', backwards: true } ) );
+
+         expect( items.map( _ => _.name ) ).toEqual( [ 'e', 'd', 'c', 'b', 'a' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects with the response of a page that could not be fetched', async () => {
+         fetchMock.get( url( '/me/cars?page=0' ), { status: 500 } );
+         await hal.paginate( url( '/me/cars?page=0' ), { itemsRelation: 'car' } ).next()
+            .then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( thenResolvedSpy ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy ).toHaveBeenCalledWith( jasmine.objectContaining( { status: 500 } ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects instead of ending the iteration if a page request timed out', async () => {
+         fetchMock.restore();
+         fetchMock.get( url( '/me/cars?page=1' ), {
+            status: 200,
+            body: page( 1, [ 'a', 'b' ], { next: { href: url( '/me/cars?page=2' ) } } )
+         } );
+         fetchMock.get( url( '/me/cars?page=2' ), new Promise( resolve => {
+            setTimeout( () => resolve( { status: 200, body: page( 2, [ 'c' ] ) } ), 20 );
+         } ) );
+         const iterator = hal.paginate( url( '/me/cars?page=1' ), { itemsRelation: 'car', timeout: 5 } );
+         await iterator.next();
+         await iterator.next();
+         await iterator.next().then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( thenResolvedSpy ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy )
+            .toHaveBeenCalledWith( jasmine.objectContaining( { status: halHttp.STATUS_TIMEOUT } ) );
+      } );
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      async function collect( iterator ) {
+         const values = [];
+         let result = await iterator.next();
+         while( !result.done ) {
+            values.push( result.value );
+            result = await iterator.next();
+         }
+         return values;
+      }
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when loading a representation with included relations', () => {
+
+      beforeEach( () => {
+         fetchMock.get( url( '/me' ), { status: 200, body: data.ROOT } );
+         fetchMock.get( url( '/me/cars' ), { status: 200, body: data.CARS } );
+         fetchMock.get( url( '/me/cars/0' ), { status: 200, body: data.CARS._embedded.car[ 0 ] } );
+         fetchMock.get( url( '/me/cars/1' ), { status: 200, body: data.CARS._embedded.car[ 1 ] } );
+         fetchMock.get( url( '/me/pets/0' ), { status: 200, body: data.PETS._embedded.pet[ 0 ] } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'assembles the representations of all included relations into a single object', async () => {
+         const { data: me } = await hal.load( url( '/me' ), {
+            include: { address: true, car: true, pet: true, house: true }
+         } );
+
+         expect( me.name ).toEqual( 'Peter' );
+         expect( me.address ).toEqual( data.ROOT._embedded.address );
+         expect( me.car ).toEqual( data.CARS._embedded.car );
+         expect( me.pet ).toEqual( data.PETS._embedded.pet[ 0 ] );
+         expect( me.house ).toBe( null );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'includes relations recursively, using embedded representations where available', async () => {
+         const { data: me, responses } = await hal.load( url( '/me' ), {
+            include: { cars: { followAll: false, include: { car: true } } }
+         } );
+
+         expect( me.cars.car ).toEqual( data.CARS._embedded.car );
+         expect( fetchMock.calls().matched.map( ([ url ]) => url ) )
+            .toEqual( [ url( '/me' ), url( '/me/cars' ) ] );
+         expect( responses[ '' ][ 0 ].status ).toEqual( 200 );
+         expect( responses[ 'cars' ].length ).toEqual( 1 );
+         expect( responses[ 'cars > car' ].length ).toEqual( 2 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sets relations that could not be fetched to null', async () => {
+         fetchMock.restore();
+         fetchMock.get( url( '/me/pets/0' ), { status: 404 } );
+         const { data: me, responses } = await hal.load( data.ROOT, { include: { pet: true } } );
+
+         expect( me.pet ).toBe( null );
+         expect( responses[ 'pet' ][ 0 ].status ).toEqual( 404 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects with the response if the representation could not be loaded', async () => {
+         fetchMock.get( url( '/nothing' ), { status: 404 } );
+         await hal.load( url( '/nothing' ), { include: { pet: true } } )
+            .then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( thenResolvedSpy ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy ).toHaveBeenCalledWith( jasmine.objectContaining( { status: 404 } ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sets relations failing due to a network error to null', async () => {
+         const error = new Error( 'network down' );
+         fetchMock.restore();
+         fetchMock.get( url( '/me' ), { status: 200, body: data.ROOT } );
+         fetchMock.get( url( '/me/pets/0' ), { throws: error } );
+         const { data: me, responses } = await hal.load( url( '/me' ), {
+            include: { address: true, pet: true }
+         } );
+
+         expect( me.address ).toEqual( data.ROOT._embedded.address );
+         expect( me.pet ).toBe( null );
+         expect( responses.pet[ 0 ].status ).toEqual( halHttp.STATUS_ERROR );
+         expect( responses.pet[ 0 ].info.error ).toBe( error );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects with the response if loading the representation timed out', async () => {
+         fetchMock.get( url( '/slow' ), new Promise( resolve => {
+            setTimeout( () => resolve( { status: 200, body: data.ROOT } ), 20 );
+         } ) );
+         await hal.load( url( '/slow' ), { include: { pet: true }, timeout: 5 } )
+            .then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( thenResolvedSpy ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy )
+            .toHaveBeenCalledWith( jasmine.objectContaining( { status: halHttp.STATUS_TIMEOUT } ) );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when submitting HAL-FORMS templates', () => {
+
+      let order;
+
+      beforeEach( () => {
+         order = {
+            _links: { self: { href: url( '/me/orders/1' ) } },
+            _templates: {
+               default: {
+                  method: 'PUT',
+                  properties: [
+                     { name: 'note', required: true },
+                     { name: 'status', value: 'open', options: { inline: [ 'open', { value: 'closed' } ] } }
+                  ]
+               },
+               search: {
+                  method: 'GET',
+                  target: url( '/me/orders' ),
+                  properties: [ { name: 'q' } ]
+               },
+               cancel: {
+                  method: 'POST',
+                  target: url( '/me/orders/1/cancellation' ),
+                  contentType: 'application/x-www-form-urlencoded',
+                  properties: [
+                     { name: 'reason', regex: '[a-z ]+' },
+                     { name: 'refund', min: 0, max: 100 }
+                  ]
+               }
+            }
+         };
+         fetchMock.put( url( '/me/orders/1' ), { status: 204 } );
+         fetchMock.get( url( '/me/orders?q=red%20car' ), { status: 200, body: {} } );
+         fetchMock.post( url( '/me/orders/1/cancellation' ), { status: 201 } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'has a function to list the templates of a representation', () => {
+         expect( halHttp.formTemplates( order ).map( _ => _.key ) )
+            .toEqual( [ 'default', 'search', 'cancel' ] );
+         expect( halHttp.formTemplates( order )[ 1 ].method ).toEqual( 'GET' );
+         expect( halHttp.formTemplates( {} ) ).toEqual( [] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses the method of the template and the self link as default target', async () => {
+         await hal.submit( order, 'default', { note: 'Please hurry' } ).on( { '2xx': onSpy2xx } );
+
+         expect( onSpy2xx ).toHaveBeenCalled();
+         expect( fetchMock.lastOptions().method ).toEqual( 'PUT' );
+         expect( JSON.parse( fetchMock.lastOptions().body ) )
+            .toEqual( { note: 'Please hurry', status: 'open' } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends the values of templates using the GET method as query parameters', async () => {
+         await hal.submit( order, 'search', { q: 'red car' } ).on( { '200': onSpy200 } );
+
+         expect( onSpy200 ).toHaveBeenCalled();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses the target and content type of the template', async () => {
+         await hal.submit( order, 'cancel', { reason: 'too late', refund: 50 } );
+
+         expect( fetchMock.lastUrl() ).toEqual( url( '/me/orders/1/cancellation' ) );
+         expect( fetchMock.lastOptions().headers[ 'content-type' ] )
+            .toEqual( 'application/x-www-form-urlencoded' );
+         expect( fetchMock.lastOptions().body ).toEqual( 'reason=too%20late&refund=50' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not submit values that violate the constraints of the template', async () => {
+         const onSpyInvalid = jasmine.createSpy( 'onSpyInvalid' );
+         await hal.submit( order, 'default', { status: 'lost' } ).on( { 'invalid': onSpyInvalid } );
+         await hal.submit( order, 'cancel', { reason: 'TOO LATE', refund: 120 } )
+            .on( { 'invalid': onSpyInvalid } );
+
+         expect( fetchMock.called() ).toBe( false );
+         const [ , { status, info } ] = onSpyInvalid.calls.argsFor( 0 );
+         expect( status ).toEqual( halHttp.STATUS_INVALID );
+         expect( info.errors ).toEqual( [
+            { name: 'note', constraint: 'required' },
+            { name: 'status', constraint: 'options' }
+         ] );
+         expect( onSpyInvalid.calls.argsFor( 1 )[ 1 ].info.errors ).toEqual( [
+            { name: 'reason', constraint: 'regex' },
+            { name: 'refund', constraint: 'max' }
+         ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'treats invalid values without an invalid handler as unhandled', async () => {
+         const logError = jasmine.createSpy( 'logError' );
+         hal = halHttp.create( { logError } );
+         await hal.submit( order, 'default', { status: 'lost' } ).on( { 'xxx': onSpyXxx } )
+            .then( thenResolvedSpy, thenRejectedSpy );
+
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         expect( thenRejectedSpy ).toHaveBeenCalled();
+         expect( logError ).toHaveBeenCalledWith( 'Values for template "default" are invalid ' +
+            '(note (required), status (options)) and no invalid handler was found.' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'handles a missing template like a missing relation', async () => {
+         const onSpyNorel = jasmine.createSpy( 'onSpyNorel' );
+         await hal.submit( order, 'delete' ).on( { 'norel': onSpyNorel } );
+
+         expect( onSpyNorel ).toHaveBeenCalled();
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'configured with media type adapters', () => {
+
+      beforeEach( () => {
+         hal = halHttp.create( {
+            mediaTypes: [ halHttp.createSirenAdapter(), halHttp.createJsonApiAdapter() ]
+         } );
+         fetchMock.get( url( '/orders/42' ), {
+            status: 200,
+            headers: { 'content-type': 'application/vnd.siren+json' },
+            body: {
+               properties: { number: 42 },
+               entities: [
+                  { rel: [ 'item' ], href: url( '/orders/42/items' ) },
+                  {
+                     rel: [ 'customer' ],
+                     properties: { name: 'Kevin' },
+                     links: [ { rel: [ 'self' ], href: url( '/customers/7' ) } ]
+                  }
+               ],
+               links: [
+                  { rel: [ 'self' ], href: url( '/orders/42' ) },
+                  { rel: [ 'next' ], href: url( '/orders/43' ) }
+               ]
+            }
+         } );
+         fetchMock.get( url( '/orders/43' ), { status: 200, body: {} } );
+         fetchMock.get( url( '/articles/1' ), {
+            status: 200,
+            headers: { 'content-type': 'application/vnd.api+json' },
+            body: {
+               links: { self: url( '/articles/1' ) },
+               data: {
+                  type: 'articles',
+                  id: '1',
+                  attributes: { title: 'Adapters' },
+                  relationships: {
+                     author: {
+                        links: { related: url( '/articles/1/author' ) },
+                        data: { type: 'people', id: '9' }
+                     },
+                     comments: { links: { related: url( '/articles/1/comments' ) } }
+                  }
+               },
+               included: [ { type: 'people', id: '9', attributes: { name: 'Dan' } } ]
+            }
+         } );
+         fetchMock.get( url( '/articles/1/comments' ), { status: 200, body: {} } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'accepts the media types of the adapters', async () => {
+         await hal.get( url( '/orders/43' ) );
+
+         expect( fetchMock.lastOptions().headers.accept ).toEqual( 'application/hal+json, ' +
+            'application/vnd.siren+json, application/vnd.api+json, application/json;q=0.8' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'maps Siren links and entities onto relations', async () => {
+         const order = await hal.get( url( '/orders/42' ) ).on( { '200': _ => _ } );
+
+         expect( halHttp.selfLink( order ) ).toEqual( url( '/orders/42' ) );
+         expect( halHttp.canFollow( order, 'item' ) ).toBe( true );
+         expect( halHttp.canFollow( order, 'customer' ) ).toBe( true );
+
+         const customer = await hal.follow( order, 'customer' ).on( { '200': _ => _ } );
+         expect( customer.properties ).toEqual( { name: 'Kevin' } );
+         expect( halHttp.selfLink( customer ) ).toEqual( url( '/customers/7' ) );
+
+         await hal.follow( order, 'next' );
+         expect( fetchMock.lastUrl() ).toEqual( url( '/orders/43' ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'maps JSON:API links, relationships and included resources onto relations', async () => {
+         const article = await hal.get( url( '/articles/1' ) ).on( { '200': _ => _ } );
+
+         expect( halHttp.selfLink( article ) ).toEqual( url( '/articles/1' ) );
+
+         const author = await hal.follow( article, 'author' ).on( { '200': _ => _ } );
+         expect( author.attributes ).toEqual( { name: 'Dan' } );
+         expect( fetchMock.calls().matched.length ).toBe( 1 );
+
+         await hal.follow( article, 'comments' );
+         expect( fetchMock.lastUrl() ).toEqual( url( '/articles/1/comments' ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'maps the relations of representations served from the cache', async () => {
+         hal = halHttp.create( { cache: true, mediaTypes: [ halHttp.createSirenAdapter() ] } );
+         const order = { links: [ { rel: [ 'next' ], href: url( '/orders/43' ) } ] };
+         const headers = { etag: '"v1"', 'content-type': 'application/vnd.siren+json' };
+         fetchMock.get( url( '/orders/1' ), ( _, options ) => options.headers[ 'if-none-match' ] === '"v1"' ?
+            { status: 304, headers: { etag: '"v1"' } } :
+            { status: 200, body: order, headers } );
+         await hal.get( url( '/orders/1' ) ).on( { '200': onSpy200 } );
+         await hal.get( url( '/orders/1' ) ).on( { '200': onSpy200 } );
+
+         const [ cachedOrder, response ] = onSpy200.calls.argsFor( 1 );
+         expect( response.fromCache ).toBe( true );
+         expect( halHttp.canFollow( cachedOrder, 'next' ) ).toBe( true );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'treats representations of other media types as HAL', async () => {
+         fetchMock.get( url( '/me' ), { status: 200, body: data.ROOT } );
+         const me = await hal.get( url( '/me' ) ).on( { '200': _ => _ } );
+
+         expect( halHttp.canFollow( me, 'address' ) ).toBe( true );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'for responses with problem details', () => {
+
+      const outOfCredit = 'https://example.com/problems/out-of-credit';
+      let onSpyOutOfCredit;
+
+      beforeEach( () => {
+         onSpyOutOfCredit = jasmine.createSpy( 'onSpyOutOfCredit' );
+         fetchMock.post( url( '/payments' ), {
+            status: 403,
+            headers: { 'content-type': 'application/problem+json' },
+            body: { type: outOfCredit, title: 'You do not have enough credit.', balance: 30 }
+         } );
+         fetchMock.get( url( '/payments/1' ), {
+            status: 404,
+            headers: { 'content-type': 'application/problem+json; charset=utf-8' },
+            body: {}
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'calls the handler for the problem type instead of the one for the status code', async () => {
+         await hal.post( url( '/payments' ), {} ).on( {
+            [ outOfCredit ]: onSpyOutOfCredit,
+            '403': onSpyXxx
+         } );
+
+         expect( onSpyXxx ).not.toHaveBeenCalled();
+         expect( onSpyOutOfCredit ).toHaveBeenCalledWith( {
+            type: outOfCredit,
+            title: 'You do not have enough credit.',
+            status: 403,
+            detail: null,
+            instance: null,
+            balance: 30
+         }, jasmine.objectContaining( { status: 403 } ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'passes the problem to the handler for the status code if there is none for its type', async () => {
+         await hal.get( url( '/payments/1' ) ).on( { [ outOfCredit ]: onSpyOutOfCredit, '4xx': onSpy404 } );
+
+         expect( onSpyOutOfCredit ).not.toHaveBeenCalled();
+         const [ problem ] = onSpy404.calls.argsFor( 0 );
+         expect( problem.type ).toEqual( 'about:blank' );
+         expect( problem.status ).toEqual( 404 );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'calls global handlers for the problem type', async () => {
+         hal = halHttp.create( { on: { [ outOfCredit ]: onSpyOutOfCredit } } );
+         await hal.post( url( '/payments' ), {} ).on( { '404': onSpy404 } );
+
+         expect( onSpy404 ).not.toHaveBeenCalled();
+         expect( onSpyOutOfCredit ).toHaveBeenCalled();
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when updating a representation', () => {
+
+      let original;
+
+      beforeEach( () => {
+         original = {
+            name: 'Peter',
+            age: 34,
+            nickname: 'Pete',
+            address: { street: 'Mainstreet 12', city: 'Faketown' },
+            tags: [ 'a', 'b', 'c' ],
+            _links: { self: { href: url( '/me' ) } },
+            _embedded: { pet: { name: 'Rex' } }
+         };
+         fetchMock.patch( url( '/me' ), { status: 204 } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends a minimal JSON Patch to the self link', async () => {
+         const modified = { ...original };
+         delete modified.nickname;
+         await hal.update( original, {
+            ...modified,
+            age: 35,
+            'a/b': true,
+            address: { ...original.address, city: 'Realtown' },
+            tags: [ 'a', 'x' ],
+            _embedded: {}
+         } ).on( { '204': onSpy2xx } );
+
+         expect( onSpy2xx ).toHaveBeenCalled();
+         expect( fetchMock.lastUrl() ).toEqual( url( '/me' ) );
+         expect( fetchMock.lastOptions().headers[ 'content-type' ] ).toEqual( 'application/json-patch+json' );
+         expect( JSON.parse( fetchMock.lastOptions().body ) ).toEqual( [
+            { op: 'remove', path: '/nickname' },
+            { op: 'add', path: '/a~1b', value: true },
+            { op: 'replace', path: '/age', value: 35 },
+            { op: 'replace', path: '/address/city', value: 'Realtown' },
+            { op: 'replace', path: '/tags/1', value: 'x' },
+            { op: 'remove', path: '/tags/2' }
+         ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'removes and adds array items at the changed positions only', async () => {
+         const items = [ { id: 1 }, { id: 2 }, { id: 3 }, { id: 4 } ];
+         await hal.update( { ...original, items }, { ...original, items: items.slice( 1 ) } );
+
+         expect( JSON.parse( fetchMock.lastOptions().body ) ).toEqual( [
+            { op: 'remove', path: '/items/0' }
+         ] );
+
+         await hal.update( { ...original, items }, {
+            ...original,
+            items: [ items[ 1 ], { id: 5 }, items[ 2 ], items[ 0 ] ]
+         } );
+
+         expect( JSON.parse( fetchMock.lastOptions().body ) ).toEqual( [
+            { op: 'remove', path: '/items/0' },
+            { op: 'add', path: '/items/1', value: { id: 5 } },
+            { op: 'replace', path: '/items/3/id', value: 1 }
+         ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends an empty JSON Patch if nothing was changed', async () => {
+         await hal.update( original, { ...original, _links: {} } );
+
+         expect( JSON.parse( fetchMock.lastOptions().body ) ).toEqual( [] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends a JSON Merge Patch if configured', async () => {
+         const modified = { ...original };
+         delete modified.nickname;
+         await hal.update( original, {
+            ...modified,
+            address: { ...original.address, city: 'Realtown' },
+            tags: [ 'a' ]
+         }, { mergePatch: true } );
+
+         expect( fetchMock.lastOptions().headers[ 'content-type' ] )
+            .toEqual( 'application/merge-patch+json' );
+         expect( JSON.parse( fetchMock.lastOptions().body ) ).toEqual( {
+            nickname: null,
+            address: { city: 'Realtown' },
+            tags: [ 'a' ]
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'with content other than JSON', () => {
+
+      beforeEach( () => {
+         fetchMock.post( url( '/uploads' ), { status: 201 } );
+         fetchMock.get( url( '/notes/1' ), {
+            status: 200,
+            headers: { 'content-type': 'text/plain; charset=utf-8' },
+            body: 'Buy milk'
+         } );
+         fetchMock.get( url( '/documents/1' ), {
+            status: 200,
+            headers: { 'content-type': 'application/pdf' },
+            body: '%PDF-1.4'
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'sends FormData bodies as they are, leaving the content type to fetch', async () => {
+         const formData = new FormData();
+         formData.append( 'name', 'report.pdf' );
+         await hal.post( url( '/uploads' ), formData ).on( { '201': onSpy2xx } );
+
+         expect( onSpy2xx ).toHaveBeenCalled();
+         expect( fetchMock.lastOptions().body ).toBe( formData );
+         expect( fetchMock.lastOptions().headers[ 'content-type' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'converts objects to FormData for multipart uploads', async () => {
+         await hal.post( url( '/uploads' ), { name: 'report.pdf', tags: [ 'a', 'b' ] }, {
+            headers: { 'content-type': 'multipart/form-data' }
+         } );
+
+         const body = fetchMock.lastOptions().body;
+         expect( body instanceof FormData ).toBe( true );
+         expect( body.get( 'name' ) ).toEqual( 'report.pdf' );
+         expect( body.getAll( 'tags' ) ).toEqual( [ 'a', 'b' ] );
+         expect( fetchMock.lastOptions().headers[ 'content-type' ] ).toBeUndefined();
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'URL encodes objects for form submissions', async () => {
+         await hal.post( url( '/uploads' ), { name: 'Kevin Klein', tags: [ 'a', 'b' ] }, {
+            headers: { 'content-type': 'application/x-www-form-urlencoded' }
+         } );
+
+         expect( fetchMock.lastOptions().body ).toEqual( 'name=Kevin%20Klein&tags=a&tags=b' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'passes plain text responses to the handlers as string', async () => {
+         await hal.get( url( '/notes/1' ) ).on( { '200': onSpy2xx } );
+
+         expect( onSpy2xx ).toHaveBeenCalledWith( 'Buy milk', jasmine.any( Object ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'passes binary responses to the handlers as binary data', async () => {
+         await hal.get( url( '/documents/1' ) ).on( { '200': onSpy2xx } );
+
+         const [ data ] = onSpy2xx.calls.mostRecent().args;
+         expect( typeof data ).not.toEqual( 'string' );
+         // node-fetch yields a buffer
+         expect( data.toString() ).toEqual( '%PDF-1.4' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      describe( 'configured with custom serializers and parsers', () => {
+
+         beforeEach( () => {
+            hal = halHttp.create( {
+               serializers: {
+                  'text/csv': rows => rows.map( _ => _.join( ',' ) ).join( '\n' )
+               },
+               parsers: {
+                  'text/plain': response => response.text().then( _ => _.toUpperCase() )
+               }
+            } );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'uses the serializer matching the content type of the request', async () => {
+            await hal.post( url( '/uploads' ), [ [ 1, 2 ], [ 3, 4 ] ], {
+               headers: { 'content-type': 'text/csv' }
+            } );
+
+            expect( fetchMock.lastOptions().body ).toEqual( '1,2\n3,4' );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'uses the parser matching the content type of the response', async () => {
+            await hal.get( url( '/notes/1' ) ).on( { '200': onSpy2xx } );
+
+            expect( onSpy2xx ).toHaveBeenCalledWith( 'BUY MILK', jasmine.any( Object ) );
+         } );
+
+         /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+         it( 'still sends and parses JSON by default', async () => {
+            fetchMock.get( url( '/people/1' ), { status: 200, body: { name: 'Kevin' } } );
+            await hal.post( url( '/uploads' ), { name: 'Kevin' } );
+            await hal.get( url( '/people/1' ) ).on( { '200': onSpy2xx } );
+
+            expect( fetchMock.lastOptions( url( '/uploads' ) ).body ).toEqual( '{"name":"Kevin"}' );
+            expect( onSpy2xx ).toHaveBeenCalledWith( { name: 'Kevin' }, jasmine.any( Object ) );
+         } );
+
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
    describe( 'configured with request middleware', () => {
 
       let thisIsMiddleware;